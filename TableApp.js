@@ -12,10 +12,60 @@
  * Opens the TableApp for a specific Spreadsheet.
  *
  * @param {string} spreadsheetId The Spreadsheet ID.
+ * @param {Object} [options] Options.
+ * @param {Object} [options.transport] Transport used to call the Sheets API. The Sheets advanced service is used by default. See createRestTransport and createMemoryTransport.
+ * @param {Object} [options.retry] Retry of the API calls failed with the status code 429 or 5xx. The delay is doubled for each retry with a random jitter.
+ * batchUpdate is retried only for 429, because a request failed with 5xx may have been applied.
+ * @param {number} [options.retry.maxRetries=5] Maximum number of retries. 0 disables the retry.
+ * @param {number} [options.retry.initialDelay=1000] Delay before the first retry in milliseconds.
+ * @param {number} [options.retry.maxDelay=32000] Maximum delay in milliseconds.
+ * @param {function(number): void} [options.retry.sleep] Function to wait for the delay. Utilities.sleep is used by default.
+ * @param {boolean} [options.retry.retryWrites=false] If true, batchUpdate is also retried for 5xx. Requests like insertDimension and addTable can be applied twice.
  * @return {TableApp} The TableApp instance.
  */
-function openById(spreadsheetId) {
-  return new TableApp(spreadsheetId);
+function openById(spreadsheetId, options = {}) {
+  return new TableApp(spreadsheetId, options);
+}
+
+/**
+ * Creates a transport which calls the Sheets API with UrlFetchApp.
+ *
+ * @param {Object} [options] Options.
+ * @param {function(): string} [options.getAccessToken] Returns the access token. ScriptApp.getOAuthToken is used by default.
+ * @return {RestTransport} The transport.
+ */
+function createRestTransport(options = {}) {
+  return new RestTransport(options);
+}
+
+/**
+ * Creates an in-memory emulator of the Sheets API as a transport.
+ * Spreadsheets are added with addSpreadsheet of the returned transport.
+ *
+ * @return {MemoryTransport} The transport.
+ */
+function createMemoryTransport() {
+  return new MemoryTransport();
+}
+
+/**
+ * Registers a theme for Table.setTheme. A preset with the same name is replaced.
+ * Themes are kept while the script runs, so register them before applying them, e.g. at the top of the script.
+ *
+ * @param {string} name Theme name.
+ * @param {Object} spec Colors of the theme. Each color is a hex color (e.g. "#4285f4") or a ThemeColorType (e.g. "ACCENT1").
+ * @param {string} [spec.header] Color of the header row.
+ * @param {string} [spec.firstBand] Color of the first band.
+ * @param {string} [spec.secondBand] Color of the second band.
+ * @param {string} [spec.footer] Color of the footer row. It is used only for the tables with a footer.
+ * @return {void}
+ * @throws {ValidationError} If the name or a color is invalid.
+ */
+function registerTheme(name, spec) {
+  if (typeof name !== "string" || name.trim() === "")
+    throw new ValidationError("Invalid theme name. Must be a string.");
+  themeToRowsProperties_(spec);
+  THEMES_[name.toLowerCase()] = { ...spec };
 }
 
 /**
@@ -25,16 +75,25 @@ function openById(spreadsheetId) {
 class TableApp {
   /**
    * @param {string} spreadsheetId The Spreadsheet ID.
+   * @param {Object} [options] Options.
+   * @param {Object} [options.transport] Transport used to call the Sheets API.
+   * @param {Object} [options.retry] Retry of the API calls.
    */
-  constructor(spreadsheetId) {
+  constructor(spreadsheetId, options = {}) {
     /** @private @type {string} */
     this.spreadsheetId = spreadsheetId;
+    /** @private @type {Object} */
+    this.transport = options.transport || new AdvancedServiceTransport();
+    /** @private @type {{maxRetries: number, initialDelay: number, maxDelay: number, sleep: function(number): void}} */
+    this.retry = { ...DEFAULT_RETRY_OPTIONS_, ...options.retry };
     /** @private @type {string|null} */
     this.sheetName = null;
     /** @private @type {string|null} */
     this.a1Notation = null;
     /** @private @type {Object|null} */
     this.cachedTables = null;
+    /** @private @type {Array<{requests: Array<Object>, callback: Function}>|null} */
+    this.batchQueue = null;
   }
 
   /**
@@ -45,7 +104,8 @@ class TableApp {
    * @throws {Error} If spreadsheet ID is missing.
    */
   getSheetByName(sheetName) {
-    if (!this.spreadsheetId) throw new Error("No Spreadsheet ID defined.");
+    if (!this.spreadsheetId)
+      throw new ValidationError("No Spreadsheet ID defined.");
     this.sheetName = sheetName;
     return this;
   }
@@ -58,12 +118,13 @@ class TableApp {
    * @throws {Error} If spreadsheet ID is missing.
    */
   getRange(a1Notation) {
-    if (!this.spreadsheetId) throw new Error("No Spreadsheet ID defined.");
+    if (!this.spreadsheetId)
+      throw new ValidationError("No Spreadsheet ID defined.");
 
-    const parsed = parseA1Notation_(a1Notation);
+    const { sheetName } = A1.parse(a1Notation);
     // If the A1 notation includes a sheet name, override the stored sheetName
-    if (parsed && parsed.sheetName) {
-      this.sheetName = parsed.sheetName;
+    if (sheetName) {
+      this.sheetName = sheetName;
     }
 
     this.a1Notation = a1Notation;
@@ -72,40 +133,315 @@ class TableApp {
 
   /**
    * Creates a new table in the defined range/sheet.
+   * When a schema is given, the column names, types and dropdown options are set with the
+   * table, and the header row is written. If the range is a single cell, it is expanded to
+   * the number of columns with one data row.
    *
    * @param {string} tableName The name of the new table.
-   * @return {Table} The created Table instance.
-   * @throws {Error} If the range resolution fails.
+   * @param {Object} [schema] Table schema.
+   * @param {Array<{name: string, type?: string, options?: Array<string>}>} schema.columns Columns from left to right. "type" is a column type (e.g. "DOUBLE", "DATE", "DROPDOWN"). "options" are required for "DROPDOWN".
+   * @return {Table} The created Table instance. In a batch, its table ID is set when the batch is committed.
+   * @throws {Error} If the schema is invalid, or the range resolution fails.
    */
-  create(tableName) {
+  create(tableName, schema) {
+    const columnProperties = schema
+      ? buildColumnProperties_(schema.columns)
+      : null;
     const { gridRange, sheetName, sheetId } = this._resolveGridRange();
 
-    const requests = [
+    const table = { name: tableName, range: gridRange };
+    const requests = [{ addTable: { table } }];
+    if (columnProperties) {
+      const {
+        startRowIndex = 0,
+        endRowIndex,
+        startColumnIndex = 0,
+        endColumnIndex,
+      } = gridRange;
+      const width = columnProperties.length;
+      if (
+        endColumnIndex - startColumnIndex === 1 &&
+        endRowIndex - startRowIndex === 1
+      ) {
+        gridRange.endColumnIndex = startColumnIndex + width;
+        gridRange.endRowIndex = startRowIndex + 2;
+      } else if (endColumnIndex - startColumnIndex !== width) {
+        throw new ValidationError(
+          `The range has ${endColumnIndex - startColumnIndex} columns, but the schema has ${width} columns.`
+        );
+      }
+      table.columnProperties = columnProperties;
+      requests.unshift({
+        updateCells: {
+          rows: [
+            {
+              values: columnProperties.map(({ columnName }) => ({
+                userEnteredValue: { stringValue: columnName },
+              })),
+            },
+          ],
+          start: {
+            sheetId,
+            rowIndex: startRowIndex,
+            columnIndex: startColumnIndex,
+          },
+          fields: "userEnteredValue",
+        },
+      });
+    }
+
+    return this._addTable(requests, { sheetName, sheetId, table });
+  }
+
+  /**
+   * Creates a new table from a 2D array. The first row is the header, and the other rows are the data rows.
+   * The range is computed from the size of the values, and the values and the table are written in one batchUpdate.
+   * The column types are inferred from the data (numbers, booleans, dates and strings).
+   *
+   * @param {string} tableName The name of the new table.
+   * @param {Array<Array<any>>} values Values including the header row. Date objects are written as dates.
+   * @param {Object} [options] Options.
+   * @param {string} [options.anchor] The top-left cell of the table in A1 notation (e.g. "Sheet1!B2"). By default, A1 of the sheet set by getSheetByName or the first sheet.
+   * @param {boolean} [options.createSheet=false] Creates the sheet of the anchor if it does not exist.
+   * @param {boolean} [options.overwrite=false] Allows overwriting non-empty cells.
+   * @return {Table} The created Table instance. In a batch, its table ID is set when the batch is committed.
+   * @throws {ValidationError} If the values or the header are invalid.
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false.
+   */
+  createFromValues(tableName, values, options = {}) {
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      !values.every(Array.isArray)
+    )
+      throw new ValidationError(
+        "Invalid values. Must be a non-empty 2D array."
+      );
+    const [header, ...rows] = values;
+    const width = header.length;
+    if (rows.some((row) => row.length > width))
+      throw new ValidationError(`Each row must have at most ${width} columns.`);
+    const columnProperties = buildColumnProperties_(
+      header.map((name) => ({ name: isBlank_(name) ? name : String(name) }))
+    );
+
+    // A table needs a data row, so an empty row is added to the header only values.
+    const data = [header, ...(rows.length > 0 ? rows : [[]])].map((row) =>
+      [...Array(width)].map((_, i) => (row[i] === undefined ? "" : row[i]))
+    );
+    const { sheetName, sheetId, requests, gridRange, timeZone } =
+      this._prepareRange(data.length, width, options);
+    columnProperties.forEach((prop, i) => {
+      const type = inferColumnType_(
+        rows.map((row) => row[i]),
+        timeZone
+      );
+      if (type) prop.columnType = type;
+    });
+    const table = { name: tableName, range: gridRange, columnProperties };
+    requests.push(
       {
-        addTable: {
-          table: {
-            name: tableName,
-            range: gridRange,
+        updateCells: {
+          rows: toRowData_(data, timeZone),
+          start: {
+            sheetId,
+            rowIndex: gridRange.startRowIndex,
+            columnIndex: gridRange.startColumnIndex,
           },
+          fields: "userEnteredValue",
         },
       },
+      { addTable: { table } }
+    );
+    return this._addTable(requests, { sheetName, sheetId, table });
+  }
+
+  /**
+   * Creates a new table from objects. The keys of the objects are the column names.
+   *
+   * @param {string} tableName The name of the new table.
+   * @param {Array<Object>} records Objects keyed by the column names.
+   * @param {Object} [options] Options of createFromValues.
+   * @param {Array<string>} [options.columns] Column names in order. By default, the keys of the objects in order of appearance.
+   * @return {Table} The created Table instance. In a batch, its table ID is set when the batch is committed.
+   * @throws {ValidationError} If the records are invalid or there are no columns.
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false.
+   */
+  createFromRecords(tableName, records, options = {}) {
+    if (
+      !Array.isArray(records) ||
+      records.some((r) => !r || typeof r !== "object" || Array.isArray(r))
+    )
+      throw new ValidationError(
+        "Invalid records. Must be an array of objects."
+      );
+    const { columns, ...rest } = options;
+    const names = columns || [
+      ...new Set(records.flatMap((record) => Object.keys(record))),
+    ];
+    if (names.length === 0)
+      throw new ValidationError(
+        'No columns. Give records with keys or "columns".'
+      );
+    const values = [
+      names,
+      ...records.map((record) =>
+        names.map((name) =>
+          record[name] === undefined || record[name] === null
+            ? ""
+            : record[name]
+        )
+      ),
     ];
+    return this.createFromValues(tableName, values, rest);
+  }
 
-    const response = batchUpdate_(this.spreadsheetId, requests);
-    // @ts-ignore
-    const newTableObj = response.replies[0].addTable.table;
+  /**
+   * Recreates a table and its cell data from a snapshot created by Table.snapshot.
+   * The snapshots of older versions are upgraded before restoring.
+   * The formulas referring the table name and the SUBTOTAL formulas of the footer are rewritten for the new table.
+   * The relative cell references of the formulas (e.g. "C2") are shifted with the table like copying the cells.
+   *
+   * @param {Object} snapshot The snapshot.
+   * @param {Object} [options] Options.
+   * @param {string} [options.anchor] The top-left cell of the table in A1 notation (e.g. "Sheet1!B2"). By default, the original position.
+   * @param {string} [options.name] The name of the table. By default, the original name.
+   * @param {boolean} [options.createSheet=false] Creates the sheet of the anchor if it does not exist.
+   * @param {boolean} [options.overwrite=false] Allows overwriting non-empty cells.
+   * @return {Table} The restored Table instance. In a batch, its table ID is set when the batch is committed.
+   * @throws {ValidationError} If the snapshot is invalid or of a newer version.
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false, or the name is used.
+   */
+  restore(snapshot, options = {}) {
+    const { table, sheetName, rowData } = upgradeSnapshot_(snapshot);
+    const {
+      startRowIndex = 0,
+      endRowIndex,
+      startColumnIndex = 0,
+      endColumnIndex,
+    } = table.range;
+    const {
+      name = table.name,
+      anchor = A1.format(
+        {
+          startRowIndex,
+          endRowIndex: startRowIndex + 1,
+          startColumnIndex,
+          endColumnIndex: startColumnIndex + 1,
+        },
+        { sheetName }
+      ),
+      ...rest
+    } = options;
+    const { sheetId, requests, gridRange, ...prepared } = this._prepareRange(
+      endRowIndex - startRowIndex,
+      endColumnIndex - startColumnIndex,
+      { ...rest, anchor }
+    );
+    const newTable = {
+      name,
+      range: gridRange,
+      columnProperties: table.columnProperties,
+      rowsProperties: table.rowsProperties,
+    };
+    requests.push(
+      {
+        updateCells: {
+          rows: relocateRowData_(rowData, table, newTable),
+          range: gridRange,
+          fields: "*",
+        },
+      },
+      { addTable: { table: newTable } }
+    );
+    return this._addTable(requests, {
+      sheetName: prepared.sheetName,
+      sheetId,
+      table: newTable,
+    });
+  }
 
-    // Invalidate cache since a new table exists
-    this.cachedTables = null;
+  /**
+   * Runs a function in a batch. The requests of the TableApp and Table methods called in the
+   * function are sent as a single batchUpdate when the function returns.
+   *
+   * @param {function(TableApp): void} fn Function to run. This instance is given as the argument.
+   * @return {Array<any>} The results of the queued calls in the called order (e.g. the Table created by create).
+   * @throws {Error} If a batch is already in progress, or the batch update fails.
+   */
+  batch(fn) {
+    if (typeof fn !== "function")
+      throw new ValidationError("Invalid function. Must be a function.");
+    this.beginBatch();
+    try {
+      fn(this);
+    } catch (e) {
+      this.discardBatch();
+      throw e;
+    }
+    return this.commit();
+  }
 
-    return new Table({
-      spreadsheetId: this.spreadsheetId,
-      sheetName: sheetName,
-      sheetId: sheetId,
-      table: newTableObj,
+  /**
+   * Starts a batch. Until commit is called, the requests of the TableApp and Table methods are
+   * queued instead of being sent, and the local state of the tables is not changed.
+   * Values are read immediately, so reads in a batch do not reflect the queued requests.
+   *
+   * @return {TableApp} This instance for chaining.
+   * @throws {Error} If a batch is already in progress.
+   */
+  beginBatch() {
+    if (this.batchQueue)
+      throw new TableAppError("A batch is already in progress.");
+    this.batchQueue = [];
+    return this;
+  }
+
+  /**
+   * Sends the queued requests as a single batchUpdate, and updates the local state of the tables.
+   *
+   * @return {Array<any>} The results of the queued calls in the called order (e.g. the Table created by create).
+   * @throws {Error} If no batch is in progress, or the batch update fails.
+   */
+  commit() {
+    if (!this.batchQueue) throw new TableAppError("No batch in progress.");
+    const queue = this.batchQueue;
+    this.batchQueue = null;
+
+    const requests = queue.flatMap((e) => e.requests);
+    let replies = [];
+    if (requests.length > 0) {
+      try {
+        const response = batchUpdate_(this, this.spreadsheetId, requests);
+        // @ts-ignore
+        replies = response.replies || [];
+      } catch (e) {
+        throw prefixError_(e, "Batch update failed: ");
+      }
+    }
+
+    // Give each call the replies of its own requests.
+    let offset = 0;
+    return queue.map(({ requests, callback }) => {
+      const r = replies.slice(offset, offset + requests.length);
+      offset += requests.length;
+      return callback(r);
     });
   }
 
+  /**
+   * Discards the queued requests of the batch in progress.
+   *
+   * @return {TableApp} This instance for chaining.
+   */
+  discardBatch() {
+    this.batchQueue = null;
+    return this;
+  }
+
   /**
    * Retrieves all tables.
    * If a sheet is selected via getSheetByName, returns tables for that sheet.
@@ -120,6 +456,27 @@ class TableApp {
       : data.tablesBySheetNames;
   }
 
+  /**
+   * Exports all tables as a JSON document keyed by the table names. Each value is the array of records.
+   * If a sheet is selected via getSheetByName, only the tables of the sheet are exported.
+   *
+   * @param {Object} [options] Options of getRecords ("valueRenderOption", "skipBlankRows" and "typed").
+   * @param {number|string} [options.space] Indentation of JSON.stringify.
+   * @return {string} JSON document.
+   */
+  exportAll(options = {}) {
+    const { space, ...rest } = options;
+    const data = this._getOrFetchTables();
+    const tables = this.sheetName
+      ? data.tablesBySheetNames[this.sheetName]?.tables || []
+      : Object.values(data.tablesByTableNames);
+    const obj = tables.reduce((o, table) => {
+      o[table.getName()] = table.getRecords(rest);
+      return o;
+    }, {});
+    return JSON.stringify(obj, null, space);
+  }
+
   /**
    * Gets a specific table by its name.
    *
@@ -142,6 +499,66 @@ class TableApp {
     return data.tablesByTableIds[tableId] || null;
   }
 
+  /**
+   * Gets the tables changed since the previous check. The fingerprint hashes saved in the developer
+   * metadata of the tables (see Table.getFingerprint) are compared with the current ones, and the
+   * tables without a saved hash are treated as changed.
+   *
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.save=true] If true, the current hashes of the changed tables are saved, so the next call reports the changes since this call.
+   * @return {Array<Table>} The changed tables.
+   */
+  getChangedTables(options = {}) {
+    const { save = true } = options;
+    const saved = searchDeveloperMetadata_(this, this.spreadsheetId, [
+      { developerMetadataLookup: { metadataKey: FINGERPRINT_METADATA_KEY_ } },
+    ])
+      .map(parseTableMetadata_)
+      .filter(Boolean);
+    const requests = [];
+    const tables = Object.values(fetchAllTables_(this).tablesByTableIds);
+    const changed = tables.filter((table) => {
+      const { hash } = table.getFingerprint();
+      const metadata = saved.find(({ tableId }) => tableId === table.getId());
+      if (metadata && metadata.value === hash) return false;
+      requests.push(
+        table._getDeveloperMetadataRequest(
+          FINGERPRINT_METADATA_KEY_,
+          hash,
+          metadata && metadata.metadataId
+        )
+      );
+      return true;
+    });
+    if (save && requests.length > 0) this._batchUpdate(requests);
+    return changed;
+  }
+
+  /**
+   * Gets the tables with a tag set by Table.setTag. The tags are searched with developerMetadata.search.
+   *
+   * @param {string} key Tag key.
+   * @param {string} [value] Tag value. The tables with any value are returned if omitted.
+   * @return {Array<Table>} The tables with the tag.
+   * @throws {ValidationError} If the key is invalid.
+   */
+  getTablesByTag(key, value) {
+    const metadataKey = toTagMetadataKey_(key);
+    const { tablesByTableIds } = fetchAllTables_(this);
+    const tableIds = searchDeveloperMetadata_(this, this.spreadsheetId, [
+      { developerMetadataLookup: { metadataKey } },
+    ])
+      .map(parseTableMetadata_)
+      .filter(
+        (metadata) =>
+          metadata && (value === undefined || metadata.value === String(value))
+      )
+      .map(({ tableId }) => tableId);
+    return [...new Set(tableIds)]
+      .map((tableId) => tablesByTableIds[tableId])
+      .filter(Boolean);
+  }
+
   /**
    * Internal method to fetch tables with caching.
    *
@@ -150,11 +567,41 @@ class TableApp {
    */
   _getOrFetchTables() {
     if (!this.cachedTables) {
-      this.cachedTables = fetchAllTables_(this.spreadsheetId);
+      this.cachedTables = fetchAllTables_(this);
     }
     return this.cachedTables;
   }
 
+  /**
+   * Checks whether a batch is in progress.
+   *
+   * @private
+   * @return {boolean}
+   */
+  _isBatching() {
+    return Boolean(this.batchQueue);
+  }
+
+  /**
+   * Sends requests, or queues them while a batch is in progress.
+   * The callback receives the replies of the requests after they are applied, and its return
+   * value is the result of the call.
+   *
+   * @private
+   * @param {Array<Object>} requests The batch update requests.
+   * @param {function(Array<Object>): any} [callback]
+   * @return {any} The result of the callback, or undefined while a batch is in progress.
+   */
+  _batchUpdate(requests, callback = () => undefined) {
+    if (this.batchQueue) {
+      this.batchQueue.push({ requests, callback });
+      return undefined;
+    }
+    const response = batchUpdate_(this, this.spreadsheetId, requests);
+    // @ts-ignore
+    return callback(response.replies || []);
+  }
+
   /**
    * Internal method to resolve A1 notation to GridRange and Sheet properties.
    *
@@ -163,7 +610,7 @@ class TableApp {
    */
   _resolveGridRange() {
     const notation = this.a1Notation || "A1";
-    const parsed = parseA1Notation_(notation);
+    const parsed = A1.parse(notation);
 
     // Determine target sheet name
     let targetSheetName =
@@ -171,6 +618,7 @@ class TableApp {
 
     // Fetch sheet metadata
     const sheetsData = sget_(
+      this,
       this.spreadsheetId,
       "sheets(properties(sheetId,title))"
     );
@@ -188,15 +636,147 @@ class TableApp {
         (s) => s.properties.title === targetSheetName
       );
       if (!found)
-        throw new Error(`Sheet with name "${targetSheetName}" not found.`);
+        throw new SheetNotFoundError(
+          `Sheet with name "${targetSheetName}" not found.`
+        );
       targetSheetId = found.properties.sheetId;
     }
 
     // Convert to GridRange
-    const gridRange = convA1NotationToGridRange_(notation, targetSheetId);
+    const gridRange = A1.toGridRange(notation, targetSheetId);
 
     return { gridRange, sheetName: targetSheetName, sheetId: targetSheetId };
   }
+
+  /**
+   * Sends the requests adding a table, or queues them while a batch is in progress.
+   * The addTable request must be the last one of the requests.
+   *
+   * @private
+   * @param {Array<Object>} requests
+   * @param {{sheetName: string, sheetId: number, table: Object}} obj
+   * @return {Table} The Table instance. In a batch, it is completed by the reply when the batch is committed.
+   */
+  _addTable(requests, { sheetName, sheetId, table }) {
+    const newTable = new Table({
+      app: this,
+      spreadsheetId: this.spreadsheetId,
+      sheetName: sheetName,
+      sheetId: sheetId,
+      table: { ...table },
+      calculatedColumns: {},
+    });
+
+    this._batchUpdate(requests, (replies) => {
+      Object.assign(
+        newTable.table,
+        replies[requests.length - 1].addTable.table
+      );
+      newTable._setLocalRange(newTable.table.range);
+
+      // Invalidate cache since a new table exists
+      this.cachedTables = null;
+      return newTable;
+    });
+    return newTable;
+  }
+
+  /**
+   * Resolves the range of a new table from the anchor cell and its size.
+   * Returns the requests creating the sheet or expanding the grid when they are required.
+   *
+   * @private
+   * @param {number} height
+   * @param {number} width
+   * @param {{anchor?: string, createSheet?: boolean, overwrite?: boolean}} options
+   * @return {{sheetName: string, sheetId: number, gridRange: Object, requests: Array<Object>, timeZone: string}}
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false.
+   */
+  _prepareRange(height, width, options) {
+    const { anchor = "A1", createSheet = false, overwrite = false } = options;
+    const parsed = A1.parse(anchor);
+    const res = sget_(
+      this,
+      this.spreadsheetId,
+      "properties(timeZone),sheets(properties(sheetId,title,gridProperties(rowCount,columnCount)))"
+    );
+    // @ts-ignore
+    const { properties, sheets } = res;
+    const sheetName =
+      parsed.sheetName || this.sheetName || sheets[0].properties.title;
+    const sheet = sheets.find((s) => s.properties.title === sheetName);
+    if (!sheet && !createSheet)
+      throw new SheetNotFoundError(`Sheet with name "${sheetName}" not found.`);
+
+    const { startRowIndex = 0, startColumnIndex = 0 } = parsed.gridRange;
+    const endRowIndex = startRowIndex + height;
+    const endColumnIndex = startColumnIndex + width;
+    const requests = [];
+    let sheetId;
+    if (!sheet) {
+      const sheetIds = sheets.map((s) => s.properties.sheetId || 0);
+      do {
+        sheetId = Math.floor(Math.random() * 2147483647);
+      } while (sheetIds.includes(sheetId));
+      requests.push({
+        addSheet: {
+          properties: {
+            sheetId,
+            title: sheetName,
+            gridProperties: {
+              rowCount: Math.max(1000, endRowIndex),
+              columnCount: Math.max(26, endColumnIndex),
+            },
+          },
+        },
+      });
+    } else {
+      sheetId = sheet.properties.sheetId || 0;
+      const { rowCount, columnCount } = sheet.properties.gridProperties;
+      [
+        ["ROWS", endRowIndex - rowCount],
+        ["COLUMNS", endColumnIndex - columnCount],
+      ].forEach(([dimension, length]) => {
+        if (length > 0)
+          requests.push({ appendDimension: { sheetId, dimension, length } });
+      });
+
+      if (
+        !overwrite &&
+        startRowIndex < rowCount &&
+        startColumnIndex < columnCount
+      ) {
+        const existing = {
+          startRowIndex,
+          endRowIndex: Math.min(endRowIndex, rowCount),
+          startColumnIndex,
+          endColumnIndex: Math.min(endColumnIndex, columnCount),
+        };
+        const a1Notation = A1.format(existing, { sheetName });
+        const current =
+          valuesGet_(this, this.spreadsheetId, a1Notation, "FORMULA") || [];
+        if (current.some((row) => row.some((v) => !isBlank_(v))))
+          throw new ConflictError(
+            `The range ${a1Notation} has non-empty cells. Set "overwrite" to true to overwrite them.`
+          );
+      }
+    }
+    const gridRange = {
+      sheetId,
+      startRowIndex,
+      endRowIndex,
+      startColumnIndex,
+      endColumnIndex,
+    };
+    return {
+      sheetName,
+      sheetId,
+      gridRange,
+      requests,
+      timeZone: properties.timeZone,
+    };
+  }
 }
 
 /**
@@ -205,12 +785,15 @@ class TableApp {
 class Table {
   /**
    * @param {Object} obj Configuration object.
+   * @param {TableApp} obj.app The TableApp which the table belongs to.
    * @param {string} obj.spreadsheetId
    * @param {string} obj.sheetName
    * @param {number} obj.sheetId
    * @param {Object} obj.table The table object from Sheets API.
    */
   constructor(obj) {
+    /** @private */
+    this.app = obj.app;
     /** @private */
     this.spreadsheetId = obj.spreadsheetId;
     /** @private */
@@ -220,10 +803,17 @@ class Table {
     /** @private */
     this.table = obj.table;
     /** @private */
-    this.rangeAsA1Notation = convGridRangeToA1Notation_(
-      this.table.range,
-      this.sheetName
-    );
+    this.rangeAsA1Notation = A1.format(this.table.range, {
+      sheetName: this.sheetName,
+    });
+    /** @private @type {string|null} */
+    this.timeZone = null;
+    /** @private @type {Object<string, string|function>|null} Loaded from the developer metadata when it is null. */
+    this.calculatedColumns = obj.calculatedColumns || null;
+    /** @private @type {boolean} */
+    this.hasConditionalFormats = obj.hasConditionalFormats !== false;
+    /** @private @type {boolean} */
+    this.hasFilterViews = obj.hasFilterViews !== false;
   }
 
   /**
@@ -260,20 +850,98 @@ class Table {
    */
   getRange() {
     // Refresh range notation in case metadata was updated externally
-    return convGridRangeToA1Notation_(this.table.range, this.sheetName);
+    return A1.format(this.table.range, { sheetName: this.sheetName });
   }
 
   /**
    * Gets the values in the table range.
+   * In the typed mode, the unformatted values of the data rows are converted by the column
+   * types: numbers for DOUBLE, CURRENCY and PERCENT, Date objects (in the time zone of the
+   * spreadsheet) for DATE, TIME and DATE_TIME, booleans for BOOLEAN, strings for TEXT and
+   * DROPDOWN, and null for blank cells.
    *
+   * @param {Object} [options] Options.
+   * @param {string} [options.valueRenderOption="FORMATTED_VALUE"] "FORMATTED_VALUE", "UNFORMATTED_VALUE" or "FORMULA".
+   * @param {boolean} [options.typed=false] If true, the values are converted by the column types. valueRenderOption is ignored.
    * @return {Array<Array<any>>} 2D array of values.
    */
-  getValues() {
-    return valuesGet_(this.spreadsheetId, this.rangeAsA1Notation);
+  getValues(options = {}) {
+    const { valueRenderOption = "FORMATTED_VALUE", typed = false } = options;
+    const values = valuesGet_(
+      this.app,
+      this.spreadsheetId,
+      this.rangeAsA1Notation,
+      typed ? "UNFORMATTED_VALUE" : valueRenderOption
+    );
+    return typed && values ? this._toTypedValues(values) : values;
+  }
+
+  /**
+   * Gets the data rows of the table as objects keyed by the column names.
+   * The header row and the footer row (when a footer color is set) are excluded.
+   *
+   * @param {Object} [options] Options.
+   * @param {string} [options.valueRenderOption="FORMATTED_VALUE"] "FORMATTED_VALUE", "UNFORMATTED_VALUE" or "FORMULA".
+   * @param {boolean} [options.skipBlankRows=false] If true, rows without any value are not returned.
+   * @param {boolean} [options.typed=false] If true, the values are converted by the column types. See getValues.
+   * @return {Array<Object>} Array of records.
+   */
+  getRecords(options = {}) {
+    const {
+      valueRenderOption = "FORMATTED_VALUE",
+      skipBlankRows = false,
+      typed = false,
+    } = options;
+    const columnNames = this._getColumnNames();
+    const values = this.getValues({ valueRenderOption, typed }) || [];
+    const blank = typed ? null : "";
+
+    const records = [];
+    for (let i = 1; i <= this._getDataRowCount(); i++) {
+      const row = values[i] || [];
+      if (skipBlankRows && row.every(isBlank_)) continue;
+      records.push(
+        columnNames.reduce((o, name, j) => {
+          o[name] = row[j] !== undefined ? row[j] : blank;
+          return o;
+        }, {})
+      );
+    }
+    return records;
+  }
+
+  /**
+   * Sets records (objects keyed by the column names) into the data rows of the table.
+   * Properties which are not column names are ignored, and missing ones are written as empty cells.
+   * Data rows after the last record are cleared.
+   *
+   * @param {Array<Object>} records Array of records.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.typed=false] If true, Date objects are converted in the time zone of the spreadsheet. See setValues.
+   * @return {Object|null} The updated range object from the API response.
+   * @throws {Error} If records are invalid or exceed the number of data rows, or a batch is in progress.
+   */
+  setRecords(records, options = {}) {
+    const values = this._recordsToValues(records);
+    const dataRowCount = this._getDataRowCount();
+    if (values.length > dataRowCount) {
+      throw new ValidationError(
+        `${values.length} records exceed the ${dataRowCount} data rows of the table.`
+      );
+    }
+    if (dataRowCount === 0) return null;
+
+    const width = this._getColumnNames().length;
+    while (values.length < dataRowCount) values.push(Array(width).fill(""));
+    return this._writeValues(
+      options.typed ? this._fromTypedValues(values) : values,
+      this._getDataGridRange()
+    );
   }
 
   /**
    * Updates the table name.
+   * The formulas of the calculated columns are rewritten with the new name, and they are saved.
    *
    * @param {string} tableName New name.
    * @return {Table} This instance.
@@ -281,7 +949,8 @@ class Table {
    */
   setName(tableName) {
     if (!tableName || typeof tableName !== "string")
-      throw new Error("Invalid table name.");
+      throw new ValidationError("Invalid table name.");
+    const columns = this._getCalculatedColumns();
     const requests = [
       {
         updateTable: {
@@ -289,32 +958,144 @@ class Table {
           table: { name: tableName, tableId: this.table.tableId },
         },
       },
+      ...this._getCalculatedColumnRequests(
+        this.table.range,
+        tableName,
+        columns,
+        this.table.name
+      ),
     ];
-    this._updateTable(requests);
-    this.table.name = tableName; // Update local state
+    if (Object.keys(columns).length > 0)
+      requests.push(
+        ...this._getCalculatedColumnsMetadataRequests((saved) =>
+          Object.keys(saved).reduce((o, columnName) => {
+            o[columnName] = replaceTableName_(
+              saved[columnName],
+              this.table.name,
+              tableName
+            );
+            return o;
+          }, {})
+        )
+      );
+    this._updateTable(requests, () => {
+      // Update local state
+      Object.keys(columns).forEach((columnName) => {
+        const formulaOrFn = columns[columnName];
+        if (typeof formulaOrFn === "string")
+          columns[columnName] = replaceTableName_(
+            formulaOrFn,
+            this.table.name,
+            tableName
+          );
+      });
+      this.table.name = tableName;
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Builds a table reference of a column for formulas.
+   * The reference of the current row uses INDEX with ROW, so it can be used in any data row.
+   *
+   * @param {string} columnName Column name.
+   * @param {Object} [options] Options.
+   * @param {string} [options.row] "this" for the cell of the current row.
+   * @return {string} Reference (e.g. "Orders[Price]" or "INDEX(Orders[Price],ROW()-ROW(Orders[Price])+1)").
+   * @throws {ValidationError} If the column is not found, or the row option is invalid.
+   */
+  ref(columnName, options = {}) {
+    return this._ref(this.table.name, columnName, options);
+  }
+
+  /**
+   * Fills the data rows of a column with a formula. The formula is re-applied to the rows added later,
+   * and rewritten with the new name when the table is renamed by setName.
+   * A function is called with "ref" (see Table.ref) and returns the formula, so the references are
+   * built from the current table name.
+   * The formula is saved in the developer metadata of the table, so it is re-applied also by the Table
+   * instances fetched later. For a function, the formula returned by it is saved.
+   *
+   * @param {string} columnName Column name.
+   * @param {string|function(function(string, Object=): string): string|null} formulaOrFn Formula (e.g. "=Orders[Price]*2"), a function returning it, or null to stop re-applying the formula.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column is not found, or the formula is invalid.
+   */
+  setCalculatedColumn(columnName, formulaOrFn) {
+    this._getColumnIndex(columnName);
+    const columns = this._getCalculatedColumns();
+    if (formulaOrFn === null) {
+      if (!(columnName in columns)) return this;
+      const requests = this._getCalculatedColumnsMetadataRequests((saved) => {
+        delete saved[columnName];
+        return saved;
+      });
+      this._updateTable(requests, () => {
+        delete columns[columnName]; // Update local state
+        return this;
+      });
+      return this;
+    }
+    if (
+      typeof formulaOrFn !== "function" &&
+      (typeof formulaOrFn !== "string" || !formulaOrFn.startsWith("="))
+    )
+      throw new ValidationError(
+        'Invalid formula. Must be a string starting with "=" or a function.'
+      );
+    const formula =
+      typeof formulaOrFn === "function"
+        ? formulaOrFn((name, options) =>
+            this._ref(this.table.name, name, options)
+          )
+        : formulaOrFn;
+    const requests = [
+      ...this._getCalculatedColumnRequests(this.table.range, this.table.name, {
+        [columnName]: formula,
+      }),
+      ...this._getCalculatedColumnsMetadataRequests((saved) => ({
+        ...saved,
+        [columnName]: formula,
+      })),
+    ];
+    this._updateTable(requests, () => {
+      columns[columnName] = formulaOrFn; // Update local state
+      return this;
+    });
     return this;
   }
 
   /**
    * Sets values into the table range.
+   * In the typed mode, Date objects are converted to serial numbers in the time zone of the
+   * spreadsheet, and null and undefined are written as empty cells.
+   * The values are written with Values.update, so it cannot be called in a batch.
    *
    * @param {Array<Array<any>>} values 2D array of values.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.typed=false] If true, the values are converted from the typed values.
    * @return {Object} The updated range object from the API response.
-   * @throws {Error} If values are not a 2D array.
+   * @throws {Error} If values are not a 2D array, or a batch is in progress.
    */
-  setValues(values) {
+  setValues(values, options = {}) {
     if (
       !Array.isArray(values) ||
       values.length === 0 ||
       !Array.isArray(values[0])
     ) {
-      throw new Error("Invalid values. Must be a 2D array.");
+      throw new ValidationError("Invalid values. Must be a 2D array.");
     }
-    return valuesUpdate_(this.spreadsheetId, values, this.rangeAsA1Notation);
+    return this._writeValues(
+      options.typed ? this._fromTypedValues(values) : values,
+      this.table.range
+    );
   }
 
   /**
    * Moves or resizes the table to a new range.
+   * The filter views of the table are updated to the new range. They are not fetched when the table
+   * had no filter views when it was fetched, and no view is created by createFilterView.
    *
    * @param {string} a1Notation New range in A1 notation.
    * @return {Table} This instance.
@@ -322,279 +1103,6340 @@ class Table {
    */
   setRange(a1Notation) {
     if (!a1Notation || typeof a1Notation !== "string")
-      throw new Error("Invalid A1 Notation.");
-    const gridRange = convA1NotationToGridRange_(a1Notation, this.sheetId);
+      throw new ValidationError("Invalid A1 Notation.");
+    const gridRange = A1.toGridRange(a1Notation, this.sheetId);
 
     const requests = [
-      {
-        updateTable: {
-          fields: "range",
-          table: { range: gridRange, tableId: this.table.tableId },
-        },
-      },
+      ...this._getRangeRequests(gridRange, true),
+      ...(this.hasFilterViews ? this._getFilterViews() : []).map((view) =>
+        this._getFilterViewRangeRequest(view, gridRange)
+      ),
     ];
 
-    this._updateTable(requests);
-
-    // Update local state
-    this.table.range = gridRange;
-    this.rangeAsA1Notation = convGridRangeToA1Notation_(
-      gridRange,
-      this.sheetName
-    );
+    this._updateTable(requests, () => {
+      this._setLocalRange(gridRange); // Update local state
+      return this;
+    });
     return this;
   }
 
   /**
-   * Updates row properties (e.g. headers).
+   * Appends rows after the last data row and extends the table range.
+   * Sheet rows are inserted when content below the table would be overwritten.
+   * When a footer is set, the rows are inserted above the footer.
    *
-   * @param {Object} rowsProperties API object for row properties.
-   * @param {string} [fields="rowsProperties"] The fields to update.
+   * @param {Array<Array<any>>} values 2D array of values.
    * @return {Table} This instance.
-   * @throws {Error} If rowsProperties is invalid.
+   * @throws {Error} If values are not a 2D array or wider than the table.
    */
-  setRowsProperties(rowsProperties, fields = "rowsProperties") {
-    if (!rowsProperties || typeof rowsProperties !== "object")
-      throw new Error("Invalid object.");
-    const requests = [
-      {
-        updateTable: {
-          fields,
-          table: { rowsProperties, tableId: this.table.tableId },
-        },
-      },
-    ];
-    return this._updateTable(requests);
+  appendRows(values) {
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      !values.every(Array.isArray)
+    ) {
+      throw new ValidationError("Invalid values. Must be a 2D array.");
+    }
+    const { requests, gridRange } = this._getAppendRequests(values);
+    this._updateTable(requests, () => {
+      this._setLocalRange(gridRange); // Update local state
+      return this;
+    });
+    return this;
   }
 
   /**
-   * Updates column properties.
+   * Appends records (objects keyed by the column names) after the last data row.
    *
-   * @param {Object} columnProperties API object for column properties.
-   * @param {string} [fields="columnProperties"] The fields to update.
+   * @param {Array<Object>} records Array of records.
    * @return {Table} This instance.
-   * @throws {Error} If columnProperties is invalid.
+   * @throws {Error} If records are invalid.
    */
-  setColumnProperties(columnProperties, fields = "columnProperties") {
-    if (!columnProperties || typeof columnProperties !== "object")
-      throw new Error("Invalid object.");
-    const requests = [
-      {
-        updateTable: {
-          fields,
-          table: { columnProperties, tableId: this.table.tableId },
+  appendRecords(records) {
+    return this.appendRows(this._recordsToValues(records));
+  }
+
+  /**
+   * Deletes the data rows matching the predicate and shrinks the table range.
+   * When all data rows match, the first one is kept (cleared), because a table needs it.
+   *
+   * @param {function(Object, number): boolean} predicate Called with each record (unformatted values) and its data row index.
+   * @return {{inserted: number, updated: number, deleted: number}} Summary of the changes.
+   * @throws {Error} If predicate is not a function.
+   */
+  deleteRows(predicate) {
+    if (typeof predicate !== "function")
+      throw new ValidationError("Invalid predicate. Must be a function.");
+    const { startRowIndex = 0 } = this.table.range;
+    const indexes = this.getRecords({ valueRenderOption: "UNFORMATTED_VALUE" })
+      .map((record, i) => (predicate(record, i) ? i : -1))
+      .filter((i) => i !== -1);
+    const summary = { inserted: 0, updated: 0, deleted: indexes.length };
+    if (indexes.length === 0) return summary;
+    const clearFirst = indexes.length === this._getDataRowCount();
+    const deleting = clearFirst ? indexes.slice(1) : indexes;
+
+    // Group consecutive rows and delete from the bottom so indexes stay valid.
+    const groups = deleting.reduce((ar, i) => {
+      const last = ar[ar.length - 1];
+      if (last && last.end === i) last.end++;
+      else ar.push({ start: i, end: i + 1 });
+      return ar;
+    }, []);
+    const requests = groups.reverse().map(({ start, end }) => ({
+      deleteDimension: {
+        range: {
+          sheetId: this.sheetId,
+          dimension: "ROWS",
+          startIndex: startRowIndex + 1 + start,
+          endIndex: startRowIndex + 1 + end,
         },
       },
-    ];
-    return this._updateTable(requests);
+    }));
+    if (clearFirst) {
+      const { startColumnIndex = 0 } = this.table.range;
+      requests.push({
+        updateCells: {
+          rows: [{ values: this._getColumnNames().map(() => ({})) }],
+          start: {
+            sheetId: this.sheetId,
+            rowIndex: startRowIndex + 1,
+            columnIndex: startColumnIndex,
+          },
+          fields: "userEnteredValue",
+        },
+      });
+    }
+    const gridRange = {
+      ...this.table.range,
+      endRowIndex: this.table.range.endRowIndex - deleting.length,
+    };
+    if (deleting.length > 0)
+      requests.push(...this._getRangeRequests(gridRange));
+    this._updateTable(requests, () => {
+      this._setLocalRange(gridRange); // Update local state
+      return summary;
+    });
+    return summary;
   }
 
   /**
-   * Deletes the table structure from the sheet.
-   * The cell data remains, but it is no longer a "Table" entity.
+   * Updates the data rows matching the predicate. Only the columns in the patch are written.
    *
-   * @return {string} Status message.
+   * @param {function(Object, number): boolean} predicate Called with each record (unformatted values) and its data row index.
+   * @param {Object|function(Object): Object} patch Object keyed by the column names, or a function returning it for each matched record.
+   * @return {{inserted: number, updated: number, deleted: number}} Summary of the changes.
+   * @throws {Error} If predicate or patch are invalid, or the patch includes an unknown column.
    */
-  remove() {
-    const requests = [{ deleteTable: { tableId: this.table.tableId } }];
-    try {
-      batchUpdate_(this.spreadsheetId, requests);
-    } catch (e) {
-      throw new Error(`Failed to remove table: ${e.message}`);
+  updateRows(predicate, patch) {
+    if (typeof predicate !== "function")
+      throw new ValidationError("Invalid predicate. Must be a function.");
+    if (!patch || !["object", "function"].includes(typeof patch))
+      throw new ValidationError(
+        "Invalid patch. Must be an object or a function."
+      );
+
+    const requests = [];
+    this.getRecords({ valueRenderOption: "UNFORMATTED_VALUE" }).forEach(
+      (record, i) => {
+        if (!predicate(record, i)) return;
+        const p = typeof patch === "function" ? patch({ ...record }) : patch;
+        requests.push(...this._getRowPatchRequests(i, p));
+      }
+    );
+    const updated = new Set(requests.map((r) => r.updateCells.start.rowIndex))
+      .size;
+    const summary = { inserted: 0, updated, deleted: 0 };
+    if (requests.length > 0) this._updateTable(requests, () => summary);
+    return summary;
+  }
+
+  /**
+   * Updates the data rows whose key column matches a record, and appends the other records.
+   * Keys are compared as strings.
+   *
+   * @param {Array<Object>} records Array of records.
+   * @param {Object} options Options.
+   * @param {string} options.key The column name used as the key.
+   * @return {{inserted: number, updated: number, deleted: number}} Summary of the changes.
+   * @throws {Error} If records are invalid, the key is not a column name, or a record has a blank or duplicated key.
+   */
+  upsert(records, options = {}) {
+    const { key } = options;
+    this._recordsToValues(records); // Validate records
+    this._getColumnIndex(key);
+    const keys = new Set();
+    records.forEach((record, i) => {
+      const value = record[key];
+      if (value === undefined || value === null || String(value).trim() === "")
+        throw new ValidationError(`Record ${i} has no value for key "${key}".`);
+      const k = String(value);
+      if (keys.has(k))
+        throw new ValidationError(`Duplicate key "${k}" in records.`);
+      keys.add(k);
+    });
+
+    const existing = new Map();
+    this.getRecords({ valueRenderOption: "UNFORMATTED_VALUE" }).forEach(
+      (record, i) => {
+        const k = String(record[key]);
+        if (!existing.has(k)) existing.set(k, i);
+      }
+    );
+
+    const patches = new Map();
+    const inserts = new Map();
+    records.forEach((record) => {
+      const k = String(record[key]);
+      if (existing.has(k)) {
+        // The key cell already matches, so it is not rewritten.
+        const { [key]: _, ...patch } = record;
+        patches.set(k, patch);
+      } else {
+        inserts.set(k, record);
+      }
+    });
+
+    const requests = [];
+    patches.forEach((patch, k) =>
+      requests.push(...this._getRowPatchRequests(existing.get(k), patch))
+    );
+    let gridRange = null;
+    if (inserts.size > 0) {
+      const append = this._getAppendRequests(
+        this._recordsToValues([...inserts.values()])
+      );
+      requests.push(...append.requests);
+      gridRange = append.gridRange;
     }
-    return `${this.table.name} (Table ID: ${this.table.tableId}) was successfully deleted.`;
+    const summary = {
+      inserted: inserts.size,
+      updated: patches.size,
+      deleted: 0,
+    };
+    if (requests.length === 0) return summary;
+    this._updateTable(requests, () => {
+      if (gridRange) this._setLocalRange(gridRange); // Update local state
+      return summary;
+    });
+    return summary;
   }
 
   /**
-   * Reverses the table (converts it back to normal cells) and explicitly restores cell data.
-   * This ensures that any table-specific metadata is removed while "baking" the
-   * values and formats into the cells.
+   * Synchronizes the table with values by writing only the differences.
+   * The rows are matched by the longest common subsequence, so inserted and deleted rows are
+   * applied with insertDimension and deleteDimension, and only the changed cells of the matched
+   * rows are written with updateCells. Notes, chips and formats of the other cells are kept.
+   * Without "key", unmatched rows at the same position are compared cell by cell. With "key",
+   * the rows are matched by the key column.
    *
-   * @return {string} Status message.
-   * @throws {Error} If the sheet data cannot be retrieved.
+   * The values are the header row followed by the data rows. The footer row is kept as it is.
+   * The values are written as they are (strings are not parsed), and Date objects are converted
+   * in the time zone of the spreadsheet.
+   *
+   * @param {Array<Array<any>>} values 2D array of the header and data rows.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.dryRun=false] If true, the diff is returned without applying it.
+   * @param {string} [options.key] The column name used to match the rows.
+   * @return {{changed: Array<{row: number, column: number, oldValue: any, newValue: any}>, inserted: Array<{row: number, values: Array<any>}>, deleted: Array<{row: number, values: Array<any>}>}} The diff. "row" is the index in values for "changed" and "inserted", and the index in the current values for "deleted" (0 is the header). "column" is the index in the table.
+   * @throws {ValidationError} If values are not a 2D array or wider than the table, or the key is not a column name.
    */
-  reverse() {
-    // Fields explicitly requested to not be changed
-    const fieldsToFetch =
-      "sheets(properties(sheetId),data(rowData(values(userEnteredValue,textFormatRuns,chipRuns,userEnteredFormat,effectiveValue,hyperlink,note,dataValidation))))";
+  sync(values, options = {}) {
+    const { dryRun = false, key } = options;
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      !values.every(Array.isArray)
+    ) {
+      throw new ValidationError("Invalid values. Must be a 2D array.");
+    }
+    const width = this._getColumnNames().length;
+    if (values.some((row) => row.length > width))
+      throw new ValidationError(`Each row must have at most ${width} columns.`);
+    const keyIndex = key === undefined ? -1 : this._getColumnIndex(key);
 
-    const obj = sget_(this.spreadsheetId, fieldsToFetch, [
-      this.rangeAsA1Notation,
-    ]);
-    // @ts-ignore
-    const f = obj.sheets.find(
-      ({ properties: { sheetId } }) => sheetId == this.sheetId
+    const pad = (row) =>
+      [...Array(width)].map((_, i) => (i < row.length ? row[i] : ""));
+    const [header, ...rows] = values.map(pad);
+    if (rows.length === 0) rows.push(pad([])); // A table needs a data row.
+    const [currentHeader, ...currentRows] = this._getRectValues(
+      "FORMULA"
+    ).slice(0, 1 + this._getDataRowCount());
+    const timeZone = this._getTimeZoneForValues(values.flat());
+    const toKey = (v) => JSON.stringify(toExtendedValue_(v, timeZone));
+    const toRowKey = (row) =>
+      keyIndex === -1 ? row.map(toKey).join() : toKey(row[keyIndex]);
+
+    // Match the rows. Without key, the unmatched rows of a hunk are paired by position.
+    const ops = [];
+    let hunk = { deletes: [], inserts: [] };
+    const flush = (position) => {
+      const { deletes, inserts } = hunk;
+      const paired =
+        keyIndex === -1 ? Math.min(deletes.length, inserts.length) : 0;
+      deletes.forEach((a, i) =>
+        ops.push(
+          i < paired
+            ? { type: "match", a, b: inserts[i] }
+            : { type: "delete", a }
+        )
+      );
+      inserts
+        .slice(paired)
+        .forEach((b) => ops.push({ type: "insert", a: position, b }));
+      hunk = { deletes: [], inserts: [] };
+    };
+    diffSequences_(currentRows.map(toRowKey), rows.map(toRowKey)).forEach(
+      ({ a, b }) => {
+        if (a === -1) hunk.inserts.push(b);
+        else if (b === -1) hunk.deletes.push(a);
+        else {
+          flush(a);
+          ops.push({ type: "match", a, b });
+        }
+      }
     );
+    flush(currentRows.length);
 
-    if (f) {
-      this.remove();
-      const rows = f.data[0].rowData;
-      // Fields explicitly requested to not be changed
-      const requests = [
-        { updateCells: { rows, range: this.table.range, fields: "*" } },
-      ];
-      batchUpdate_(this.spreadsheetId, requests);
+    // Build the diff. "row" is shifted by the header row.
+    const diff = { changed: [], inserted: [], deleted: [] };
+    const compare = (current, row, b) =>
+      row.reduce((cells, value, index) => {
+        if (toKey(value) === toKey(current[index])) return cells;
+        diff.changed.push({
+          row: b,
+          column: index,
+          oldValue: current[index],
+          newValue: value,
+        });
+        cells.push({ index, value });
+        return cells;
+      }, []);
+    const headerCells = compare(currentHeader, header, 0);
+    ops.forEach((op) => {
+      if (op.type === "match")
+        op.cells = compare(currentRows[op.a], rows[op.b], op.b + 1);
+      else if (op.type === "insert")
+        diff.inserted.push({ row: op.b + 1, values: rows[op.b] });
+      else diff.deleted.push({ row: op.a + 1, values: currentRows[op.a] });
+    });
+    if (dryRun) return diff;
+
+    // Apply the operations from the bottom, so the indexes of the rows above stay valid.
+    const { startRowIndex = 0 } = this.table.range;
+    const toRowIndex = (a) => startRowIndex + 1 + a;
+    const requests = [];
+    for (let i = ops.length - 1; i >= 0;) {
+      const op = ops[i];
+      if (op.type === "match") {
+        requests.push(
+          ...this._getCellRequests(toRowIndex(op.a), op.cells, timeZone)
+        );
+        i--;
+        continue;
+      }
+      let j = i;
+      while (
+        j > 0 &&
+        ops[j - 1].type === op.type &&
+        ops[j - 1].a === (op.type === "insert" ? op.a : ops[j].a - 1)
+      )
+        j--;
+      const group = ops.slice(j, i + 1);
+      const range = {
+        sheetId: this.sheetId,
+        dimension: "ROWS",
+        startIndex: toRowIndex(group[0].a),
+        endIndex: toRowIndex(group[0].a) + group.length,
+      };
+      if (op.type === "delete") {
+        requests.push({ deleteDimension: { range } });
+      } else {
+        requests.push(
+          { insertDimension: { range, inheritFromBefore: op.a > 0 } },
+          {
+            updateCells: {
+              rows: toRowData_(
+                group.map(({ b }) => rows[b]),
+                timeZone
+              ),
+              start: {
+                sheetId: this.sheetId,
+                rowIndex: range.startIndex,
+                columnIndex: this.table.range.startColumnIndex || 0,
+              },
+              fields: "userEnteredValue",
+            },
+          }
+        );
+      }
+      i = j - 1;
+    }
+    requests.push(
+      ...this._getCellRequests(startRowIndex, headerCells, timeZone)
+    );
+    const gridRange = {
+      ...this.table.range,
+      endRowIndex:
+        this.table.range.endRowIndex + rows.length - currentRows.length,
+    };
+    if (diff.inserted.length > 0 || diff.deleted.length > 0) {
+      requests.push(...this._getRangeRequests(gridRange));
+    }
+    if (requests.length === 0) return diff;
+    this._updateTable(requests, () => {
+      // Update local state
+      this._setLocalRange(gridRange);
+      headerCells.forEach(({ index, value }) => {
+        const prop = (this.table.columnProperties || []).find(
+          ({ columnIndex = 0 }) => columnIndex === index
+        );
+        if (prop && !isBlank_(value)) prop.columnName = String(value);
+      });
+      return diff;
+    });
+    return diff;
+  }
+
+  /**
+   * Imports CSV into the table. The first row of CSV is the header, and the columns are mapped to the
+   * table columns by the header names. See importJson for the modes and the result.
+   *
+   * @param {string} text CSV text (RFC 4180).
+   * @param {Object} [options] Options of importJson.
+   * @param {string} [options.delimiter=","] Delimiter of CSV.
+   * @return {{inserted: number, updated: number, deleted: number, rejected: Array<{index: number, record: Object, errors: Array<{column: string, value: any, message: string}>}>}} Summary of the changes and the rejected rows.
+   * @throws {ValidationError} If the CSV or the options are invalid.
+   */
+  importCsv(text, options = {}) {
+    const { delimiter = ",", ...rest } = options;
+    if (typeof text !== "string" || text === "")
+      throw new ValidationError("Invalid CSV. Must be a non-empty string.");
+    const [header, ...rows] = parseCsv_(text, delimiter);
+    const records = rows.map((row) =>
+      header.reduce((o, name, i) => {
+        o[name] = row[i] === undefined ? "" : row[i];
+        return o;
+      }, {})
+    );
+    return this.importJson(records, rest);
+  }
+
+  /**
+   * Imports records into the table. The keys of the records are mapped to the table columns by the
+   * names, and the values are converted by the column types. Rows with values which cannot be
+   * converted (e.g. "abc" for "DOUBLE", or a value not in the options of "DROPDOWN") are not written
+   * and are returned as "rejected". Keys which are not mapped to any column are ignored.
+   *
+   * - "replace": Replaces the data rows with the records. The table range is expanded or shrunk.
+   * - "append": Appends the records after the last data row.
+   * - "upsert": Updates the rows matching "key" and appends the others. See upsert.
+   *
+   * @param {Array<Object>|string} records Array of records, or its JSON.
+   * @param {Object} [options] Options.
+   * @param {string} [options.mode="replace"] "replace", "append" or "upsert".
+   * @param {string} [options.key] The column name used as the key for "upsert".
+   * @param {Object<string, string>} [options.mapping] Object mapping the source names to the column names (e.g. { "Item Name": "Product" }).
+   * @return {{inserted: number, updated: number, deleted: number, rejected: Array<{index: number, record: Object, errors: Array<{column: string, value: any, message: string}>}>}} Summary of the changes and the rejected rows. "index" is the index in the source records.
+   * @throws {ValidationError} If the records or the options are invalid.
+   */
+  importJson(records, options = {}) {
+    const { mode = "replace", key, mapping = {} } = options;
+    if (typeof records === "string") {
+      try {
+        records = JSON.parse(records);
+      } catch (e) {
+        throw new ValidationError(`Invalid JSON. ${e.message}`, { cause: e });
+      }
+    }
+    if (
+      !Array.isArray(records) ||
+      records.some((r) => !r || typeof r !== "object" || Array.isArray(r))
+    )
+      throw new ValidationError(
+        "Invalid records. Must be an array of objects."
+      );
+    if (!["replace", "append", "upsert"].includes(mode))
+      throw new ValidationError(
+        `Invalid mode "${mode}". Use "replace", "append" or "upsert".`
+      );
+    if (mode === "upsert") this._getColumnIndex(key);
+
+    // Convert the records to the column names and the column types.
+    const columnProperties = this.table.columnProperties || [];
+    const propsByName = new Map(
+      columnProperties.map((prop) => [prop.columnName, prop])
+    );
+    const timeZone = columnProperties.some(({ columnType }) =>
+      ["DATE", "TIME", "DATE_TIME"].includes(columnType)
+    )
+      ? this._getTimeZone()
+      : null;
+    const accepted = [];
+    const rejected = [];
+    records.forEach((record, index) => {
+      const converted = {};
+      const errors = [];
+      Object.keys(record).forEach((source) => {
+        const column = mapping[source] || source;
+        const prop = propsByName.get(column);
+        if (!prop) return;
+        try {
+          converted[column] = coerceValue_(record[source], prop, timeZone);
+        } catch (e) {
+          errors.push({ column, value: record[source], message: e.message });
+        }
+      });
+      if (errors.length > 0) rejected.push({ index, record, errors });
+      else accepted.push(converted);
+    });
+
+    const empty = { inserted: 0, updated: 0, deleted: 0 };
+    if (mode === "upsert")
+      return {
+        ...(accepted.length > 0 ? this.upsert(accepted, { key }) : empty),
+        rejected,
+      };
+    if (mode === "append") {
+      if (accepted.length > 0) this.appendRecords(accepted);
+      return { ...empty, inserted: accepted.length, rejected };
+    }
+    const { requests, gridRange, summary } = this._getReplaceRequests(
+      this._recordsToValues(accepted)
+    );
+    if (requests.length > 0)
+      this._updateTable(requests, () => {
+        this._setLocalRange(gridRange); // Update local state
+        return { ...summary, rejected };
+      });
+    return { ...summary, rejected };
+  }
+
+  /**
+   * Sorts the data rows of the table. The header and footer rows are not sorted.
+   * Columns are sorted by sortRange. When a spec has "comparator" or "optionOrder", the rows are
+   * sorted in the script and rewritten with their values, formats and notes.
+   * Blank cells are placed at the end, like sortRange.
+   *
+   * @param {Array<{column: string, order?: string, comparator?: function(any, any): number, optionOrder?: boolean}>} specs Sort specs in priority order. "order" is "asc" (default) or "desc". "comparator" compares the unformatted values. "optionOrder" sorts a "DROPDOWN" column by the order of its options, and values not in the options are placed after them.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the specs are invalid, a column is not found, or "optionOrder" is used for a column which is not "DROPDOWN".
+   */
+  sort(specs) {
+    if (!Array.isArray(specs) || specs.length === 0)
+      throw new ValidationError("Invalid specs. Must be a non-empty array.");
+    const sortSpecs = specs.map((spec) => {
+      const {
+        column,
+        order = "asc",
+        comparator,
+        optionOrder = false,
+      } = spec || {};
+      const index = this._getColumnIndex(column);
+      if (!["asc", "desc"].includes(order))
+        throw new ValidationError(
+          `Invalid order "${order}". Use "asc" or "desc".`
+        );
+      if (comparator !== undefined && typeof comparator !== "function")
+        throw new ValidationError("Invalid comparator. Must be a function.");
+      let compare = comparator;
+      if (optionOrder) {
+        const prop = (this.table.columnProperties || []).find(
+          ({ columnIndex = 0 }) => columnIndex === index
+        );
+        if (!prop || prop.columnType !== "DROPDOWN")
+          throw new ValidationError(`Column "${column}" is not "DROPDOWN".`);
+        const options = prop.dataValidationRule.condition.values.map(
+          (v) => v.userEnteredValue
+        );
+        const rank = (v) => {
+          const i = options.indexOf(String(v));
+          return i === -1 ? options.length : i;
+        };
+        compare = (a, b) => rank(a) - rank(b) || compareValues_(a, b);
+      }
+      return { index, descending: order === "desc", compare };
+    });
+    if (this._getDataRowCount() < 2) return this;
+
+    const range = this._getDataGridRange();
+    const { startColumnIndex = 0 } = range;
+    const requests = sortSpecs.some(({ compare }) => compare)
+      ? this._getSortedRowsRequests(sortSpecs)
+      : [
+          {
+            sortRange: {
+              range,
+              sortSpecs: sortSpecs.map(({ index, descending }) => ({
+                dimensionIndex: startColumnIndex + index,
+                sortOrder: descending ? "DESCENDING" : "ASCENDING",
+              })),
+            },
+          },
+        ];
+    if (requests.length > 0) this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Creates a filter view over the table range. The criteria are given by the column names.
+   *
+   * - { values: [...] }: Shows only the values. It is saved as a CUSTOM_FORMULA condition comparing the displayed values, so the values added later are also hidden.
+   * - { hiddenValues: [...] }: Hides the values.
+   * - { condition: "NUMBER_GREATER", value: 10 }: Shows the rows matching the condition. "value" can be an array (e.g. for "NUMBER_BETWEEN"), and "condition" can be a BooleanCondition object.
+   *
+   * @param {Object} options Options.
+   * @param {string} [options.title] Title of the filter view.
+   * @param {Object<string, {values?: Array<any>, hiddenValues?: Array<any>, condition?: string|Object, value?: any}>} [options.criteria] Criteria keyed by the column names.
+   * @param {Array<{column: string, order?: string}>} [options.sort] Sort specs of the filter view. "order" is "asc" (default) or "desc".
+   * @return {number|undefined} The filter view ID. In a batch, it is returned from commit.
+   * @throws {ValidationError} If the options are invalid, or a column is not found.
+   */
+  createFilterView(options = {}) {
+    const filter = {
+      ...this._toFilterView(options),
+      range: this.table.range,
+    };
+    const requests = [{ addFilterView: { filter } }];
+    this.hasFilterViews = true;
+    return this._updateTable(
+      requests,
+      (replies) => replies[0].addFilterView.filter.filterViewId
+    );
+  }
+
+  /**
+   * Gets the filter views of the table. Filter views starting at the top-left cell of the table
+   * are regarded as the views of the table.
+   *
+   * @return {Array<Object>} FilterView objects of the API.
+   */
+  getFilterViews() {
+    return this._getFilterViews();
+  }
+
+  /**
+   * Updates a filter view of the table. Only the given options are updated.
+   *
+   * @param {number} filterViewId Filter view ID.
+   * @param {Object} options Options of createFilterView.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the filter view is not a view of the table, or the options are invalid.
+   */
+  updateFilterView(filterViewId, options = {}) {
+    this._assertFilterView(filterViewId);
+    const filter = { ...this._toFilterView(options), filterViewId };
+    const fields = Object.keys(filter)
+      .filter((key) => key !== "filterViewId")
+      .join(",");
+    if (!fields) return this;
+    const requests = [{ updateFilterView: { filter, fields } }];
+    this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Deletes a filter view of the table.
+   *
+   * @param {number} filterViewId Filter view ID.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the filter view is not a view of the table.
+   */
+  deleteFilterView(filterViewId) {
+    this._assertFilterView(filterViewId);
+    const requests = [{ deleteFilterView: { filterId: filterViewId } }];
+    this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Adds a conditional format rule over the data rows of a column.
+   * The rule range follows the table when rows are appended or deleted, or the range is changed
+   * by this library.
+   *
+   * @param {Object} options Options.
+   * @param {string} options.column Column name.
+   * @param {string|Object} options.condition ConditionType (e.g. "NUMBER_LESS", "DATE_BEFORE", "CUSTOM_FORMULA"), or a BooleanCondition object.
+   * @param {any} [options.value] Value of the condition, or an array of the values. For the date conditions, "TODAY", "YESTERDAY", "TOMORROW", "PAST_WEEK", "PAST_MONTH" and "PAST_YEAR" are relative dates.
+   * @param {Object} options.format Format. "backgroundColor" and "textColor" are hex colors, and "bold", "italic", "strikethrough" and "underline" are booleans. Other keys are used as CellFormat.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the options are invalid, or the column is not found.
+   */
+  addConditionalFormat(options = {}) {
+    const { column, condition, value, format } = options;
+    const index = this._getColumnIndex(column);
+    let booleanCondition = condition;
+    if (typeof condition === "string") {
+      const type = condition.toUpperCase();
+      booleanCondition = {
+        type,
+        values: (value === undefined ? [] : [].concat(value)).map((v) =>
+          type.startsWith("DATE_") && RELATIVE_DATES_.includes(v)
+            ? { relativeDate: v }
+            : { userEnteredValue: String(v) }
+        ),
+      };
+    } else if (!condition || typeof condition !== "object") {
+      throw new ValidationError(
+        "Invalid condition. Must be a ConditionType or a BooleanCondition object."
+      );
+    }
+    if (!format || typeof format !== "object")
+      throw new ValidationError("Invalid format. Must be an object.");
+
+    const { startColumnIndex = 0 } = this.table.range;
+    const rule = {
+      ranges: [
+        {
+          ...this._getDataGridRange(),
+          startColumnIndex: startColumnIndex + index,
+          endColumnIndex: startColumnIndex + index + 1,
+        },
+      ],
+      booleanRule: {
+        condition: booleanCondition,
+        format: toCellFormat_(format),
+      },
+    };
+    const requests = [{ addConditionalFormatRule: { rule, index: 0 } }];
+    this._updateTable(requests);
+    // Set before the commit, so the rule is found by the range changes queued after it
+    this.hasConditionalFormats = true;
+    return this;
+  }
+
+  /**
+   * Gets the conditional format rules over the data rows of the table.
+   *
+   * @return {Array<{index: number, columns: Array<string>, rule: Object}>} "index" is the index of the rule in the sheet, and "columns" are the column names of the rule ranges.
+   */
+  getConditionalFormats() {
+    return this._getConditionalFormats().map(({ index, rule }) => {
+      const { startColumnIndex = 0 } = this.table.range;
+      const names = this._getColumnNames();
+      const columns = rule.ranges.flatMap((range) =>
+        names.slice(
+          (range.startColumnIndex || 0) - startColumnIndex,
+          range.endColumnIndex - startColumnIndex
+        )
+      );
+      return { index, columns, rule };
+    });
+  }
+
+  /**
+   * Deletes the conditional format rules over the data rows of the table.
+   *
+   * @param {string} [columnName] Column name. The rules of all columns are deleted if omitted.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column is not found, or rules of the sheet are added or deleted by a queued call of the batch.
+   */
+  clearConditionalFormats(columnName) {
+    const formats = this.getConditionalFormats().filter(
+      ({ columns }) =>
+        columnName === undefined ||
+        columns.includes(
+          this._getColumnNames()[this._getColumnIndex(columnName)]
+        )
+    );
+    if (formats.length === 0) return this;
+    this._assertConditionalFormatIndexes();
+    const requests = formats
+      .sort((a, b) => b.index - a.index)
+      .map(({ index }) => ({
+        deleteConditionalFormatRule: { index, sheetId: this.sheetId },
+      }));
+    this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Creates a query over the data rows of the table.
+   * Columns are referenced by their names, so queries keep working when columns are reordered.
+   *
+   * @return {TableQuery} A new query instance.
+   */
+  query() {
+    return new TableQuery(this);
+  }
+
+  /**
+   * Exports the table as a string.
+   *
+   * - "csv": CSV by RFC 4180. Fields including the delimiter, double quotes or line breaks are quoted.
+   * - "json": JSON of the array of records keyed by the column names. The header and footer rows are excluded.
+   * - "markdown": Markdown table. Columns of the number types are aligned to the right.
+   * - "html": HTML table with the header, band and footer colors of rowsProperties.
+   *
+   * @param {string} format "csv", "json", "markdown" or "html".
+   * @param {Object} [options] Options.
+   * @param {string} [options.valueRenderOption="FORMATTED_VALUE"] "FORMATTED_VALUE", "UNFORMATTED_VALUE" or "FORMULA".
+   * @param {string} [options.delimiter=","] Delimiter of CSV.
+   * @param {string} [options.lineBreak="\r\n"] Line break of CSV.
+   * @param {boolean} [options.skipBlankRows=false] For "json". See getRecords.
+   * @param {boolean} [options.typed=false] For "json". See getRecords.
+   * @param {number|string} [options.space] For "json". Indentation of JSON.stringify.
+   * @return {string} The exported table.
+   * @throws {ValidationError} If the format or the delimiter is invalid.
+   */
+  export(format, options = {}) {
+    const {
+      valueRenderOption = "FORMATTED_VALUE",
+      delimiter = ",",
+      lineBreak = "\r\n",
+      skipBlankRows = false,
+      typed = false,
+      space,
+    } = options;
+    switch (String(format).toLowerCase()) {
+      case "csv":
+        if (typeof delimiter !== "string" || !/^[^"\r\n]$/.test(delimiter))
+          throw new ValidationError(
+            "Invalid delimiter. Must be a single character except double quotes and line breaks."
+          );
+        return toCsv_(
+          this._getRectValues(valueRenderOption),
+          delimiter,
+          lineBreak
+        );
+      case "json":
+        return JSON.stringify(
+          this.getRecords({ valueRenderOption, skipBlankRows, typed }),
+          null,
+          space
+        );
+      case "markdown": {
+        const types = this._getColumnTypes();
+        const alignments = this._getColumnNames().map((_, i) =>
+          ["DOUBLE", "CURRENCY", "PERCENT"].includes(types[i]) ? "right" : null
+        );
+        return toMarkdown_(this._getRectValues(valueRenderOption), alignments);
+      }
+      case "html":
+        return toHtml_(this._getRectValues(valueRenderOption), {
+          colors: this._getRowColors(),
+          hasFooter: this._hasFooter(),
+        });
+      default:
+        throw new ValidationError(
+          `Invalid format "${format}". Use "csv", "json", "markdown" or "html".`
+        );
+    }
+  }
+
+  /**
+   * Sets a footer with aggregations of the data rows. When the table has no footer, a row is
+   * appended as the footer. The footer cells are SUBTOTAL formulas (e.g. "=SUBTOTAL(109,C3:C10)"),
+   * so the rows hidden by filters are not aggregated. The formulas are rewritten when rows are
+   * appended or deleted, or the table range is changed by this library. When the table has no data
+   * rows, the aggregated cells are left empty, and they are not rebuilt when rows are appended later.
+   *
+   * @param {Object<string, string>} aggregations Functions keyed by the column names. "SUM", "AVERAGE", "COUNT", "COUNTA", "MAX", "MIN", "PRODUCT", "STDEV", "STDEVP", "VAR" or "VARP".
+   * @param {Object} [options] Options.
+   * @param {string} [options.label] Label written in the first column when it has no aggregation (e.g. "Total").
+   * @param {Object} [options.colorStyle] footerColorStyle. The current footer color or light gray is used if omitted.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the aggregations are invalid, or a column is not found.
+   */
+  setFooter(aggregations, options = {}) {
+    if (
+      !aggregations ||
+      typeof aggregations !== "object" ||
+      Object.keys(aggregations).length === 0
+    )
+      throw new ValidationError(
+        "Invalid aggregations. Must be a non-empty object."
+      );
+    const codes = Object.keys(aggregations).reduce((o, name) => {
+      const fn = String(aggregations[name]).toUpperCase();
+      if (!SUBTOTAL_FUNCTIONS_[fn])
+        throw new ValidationError(
+          `Invalid aggregation "${aggregations[name]}" of column "${name}". Use ${Object.keys(SUBTOTAL_FUNCTIONS_).join(", ")}.`
+        );
+      o[this._getColumnIndex(name)] = SUBTOTAL_FUNCTIONS_[fn];
+      return o;
+    }, {});
+    const rowsProperties = this.table.rowsProperties || {};
+    const {
+      label,
+      colorStyle = rowsProperties.footerColorStyle || {
+        rgbColor: { red: 0.85, green: 0.85, blue: 0.85 },
+      },
+    } = options;
+
+    const requests = [];
+    let gridRange = this.table.range;
+    if (!this._hasFooter()) {
+      const append = this._getAppendRequests([[]]);
+      requests.push(...append.requests);
+      gridRange = append.gridRange;
+    }
+    const row = this._getColumnNames().map((_, i) => {
+      if (codes[i]) return toSubtotalFormula_(codes[i], gridRange, i);
+      return i === 0 && label !== undefined ? label : "";
+    });
+    requests.push(
+      {
+        updateCells: {
+          rows: toRowData_([row]),
+          start: {
+            sheetId: this.sheetId,
+            rowIndex: gridRange.endRowIndex - 1,
+            columnIndex: gridRange.startColumnIndex || 0,
+          },
+          fields: "userEnteredValue",
+        },
+      },
+      {
+        updateTable: {
+          fields: "rowsProperties.footerColorStyle",
+          table: {
+            rowsProperties: { footerColorStyle: colorStyle },
+            tableId: this.table.tableId,
+          },
+        },
+      },
+      ...this._getConditionalFormatRangeRequests(gridRange, true)
+    );
+    this._updateTable(requests, () => {
+      // Update local state
+      this._setLocalRange(gridRange);
+      this.table.rowsProperties = {
+        ...this.table.rowsProperties,
+        footerColorStyle: colorStyle,
+      };
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Removes the footer. The footer row is cleared and becomes a data row, or it is deleted.
+   *
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.deleteRow=false] If true, the footer row is deleted and the table range is shrunk.
+   * @return {Table} This instance.
+   */
+  removeFooter(options = {}) {
+    if (!this._hasFooter()) return this;
+    const { deleteRow = false } = options;
+    const { endRowIndex } = this.table.range;
+    const footerRange = {
+      ...this.table.range,
+      startRowIndex: endRowIndex - 1,
+    };
+    const requests = [
+      {
+        updateTable: {
+          fields: "rowsProperties.footerColorStyle",
+          table: { rowsProperties: {}, tableId: this.table.tableId },
+        },
+      },
+    ];
+    let gridRange = this.table.range;
+    if (deleteRow) {
+      gridRange = { ...this.table.range, endRowIndex: endRowIndex - 1 };
+      requests.push(
+        {
+          deleteDimension: {
+            range: {
+              sheetId: this.sheetId,
+              dimension: "ROWS",
+              startIndex: endRowIndex - 1,
+              endIndex: endRowIndex,
+            },
+          },
+        },
+        {
+          updateTable: {
+            fields: "range",
+            table: { range: gridRange, tableId: this.table.tableId },
+          },
+        }
+      );
     } else {
-      throw new Error("Sheet not found during reverse operation.");
+      requests.push(
+        { updateCells: { range: footerRange, fields: "userEnteredValue" } },
+        ...this._getConditionalFormatRangeRequests(gridRange, false)
+      );
+    }
+    this._updateTable(requests, () => {
+      // Update local state
+      this._setLocalRange(gridRange);
+      const { footerColorStyle, ...rest } = this.table.rowsProperties || {};
+      this.table.rowsProperties = rest;
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Updates row properties (e.g. headers).
+   *
+   * @param {Object} rowsProperties API object for row properties.
+   * @param {string} [fields="rowsProperties"] The fields to update.
+   * @return {Table} This instance.
+   * @throws {Error} If rowsProperties is invalid.
+   */
+  setRowsProperties(rowsProperties, fields = "rowsProperties") {
+    if (!rowsProperties || typeof rowsProperties !== "object")
+      throw new ValidationError("Invalid object.");
+    const requests = [
+      {
+        updateTable: {
+          fields,
+          table: { rowsProperties, tableId: this.table.tableId },
+        },
+      },
+    ];
+    this._updateTable(requests, () => {
+      // Update local state
+      if (fields === "rowsProperties")
+        this.table.rowsProperties = rowsProperties;
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Sets the colors of the header, bands and footer by a theme.
+   * The footer color is set only when the table has a footer.
+   *
+   * @param {string|Object} theme Name of a preset ("blue", "green", "red", "orange", "purple", "teal", "gray") or a theme registered by registerTheme,
+   * or the colors { header, firstBand, secondBand, footer } as hex colors or ThemeColorTypes (e.g. "ACCENT1").
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the theme is not found, or a color is invalid.
+   */
+  setTheme(theme) {
+    let spec = theme;
+    if (typeof theme === "string") {
+      spec = THEMES_[theme.toLowerCase()];
+      if (!spec)
+        throw new ValidationError(
+          `Theme "${theme}" not found. Use ${Object.keys(THEMES_).join(", ")}, or register it with registerTheme.`
+        );
+    }
+    const { footerColorStyle, ...colorStyles } = themeToRowsProperties_(spec);
+    if (footerColorStyle && this._hasFooter())
+      colorStyles.footerColorStyle = footerColorStyle;
+    const keys = Object.keys(colorStyles);
+    if (keys.length === 0) return this;
+    const requests = [
+      {
+        updateTable: {
+          fields: keys.map((key) => `rowsProperties.${key}`).join(","),
+          table: { rowsProperties: colorStyles, tableId: this.table.tableId },
+        },
+      },
+    ];
+    this._updateTable(requests, () => {
+      // Update local state
+      this.table.rowsProperties = {
+        ...this.table.rowsProperties,
+        ...colorStyles,
+      };
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Gets the colors of the header, bands and footer as hex colors.
+   * Theme colors are resolved by the theme of the spreadsheet.
+   *
+   * @return {{header: string|null, firstBand: string|null, secondBand: string|null, footer: string|null}} null is for no color.
+   */
+  getTheme() {
+    return this._getRowColors();
+  }
+
+  /**
+   * Updates column properties.
+   *
+   * @param {Object} columnProperties API object for column properties.
+   * @param {string} [fields="columnProperties"] The fields to update.
+   * @return {Table} This instance.
+   * @throws {Error} If columnProperties is invalid.
+   */
+  setColumnProperties(columnProperties, fields = "columnProperties") {
+    if (!columnProperties || typeof columnProperties !== "object")
+      throw new ValidationError("Invalid object.");
+    const requests = [
+      {
+        updateTable: {
+          fields,
+          table: { columnProperties, tableId: this.table.tableId },
+        },
+      },
+    ];
+    this._updateTable(requests, () => {
+      // Update local state
+      if (fields === "columnProperties")
+        this.table.columnProperties = columnProperties;
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Adds a column to the table. Cells are inserted at the position in the rows of the table, so the
+   * cells of the other columns keep their columns, and the table range and columnProperties are
+   * updated in one batch. The cells outside the rows of the table are not moved. A sheet column is
+   * appended, so the shifted cells stay in the grid.
+   *
+   * @param {Object} column Column definition.
+   * @param {string} column.name Column name.
+   * @param {string} [column.type] Column type (e.g. "DOUBLE", "DROPDOWN").
+   * @param {Array<string>} [column.options] Options for "DROPDOWN".
+   * @param {number} [column.position] Column index in the table. The column is added at the end if omitted.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column definition or the position is invalid, or the name is duplicated.
+   */
+  addColumn(column) {
+    const { name, type, options, position } = column || {};
+    const columnProperties = this.table.columnProperties || [];
+    const width = columnProperties.length;
+    const index = position === undefined ? width : position;
+    if (!Number.isInteger(index) || index < 0 || index > width)
+      throw new ValidationError(
+        `Invalid position. Must be an integer from 0 to ${width}.`
+      );
+    const [prop] = buildColumnProperties_([{ name, type, options }], index);
+    if (this._getColumnNames().includes(name))
+      throw new ValidationError(`Column "${name}" already exists.`);
+
+    const { startColumnIndex = 0 } = this.table.range;
+    const requests = [
+      {
+        appendDimension: {
+          sheetId: this.sheetId,
+          dimension: "COLUMNS",
+          length: 1,
+        },
+      },
+      {
+        insertRange: {
+          range: {
+            ...this.table.range,
+            sheetId: this.sheetId,
+            startColumnIndex: startColumnIndex + index,
+            endColumnIndex: startColumnIndex + index + 1,
+          },
+          shiftDimension: "COLUMNS",
+        },
+      },
+    ];
+    const gridRange = {
+      ...this.table.range,
+      endColumnIndex: this.table.range.endColumnIndex + 1,
+    };
+    return this._updateColumns(requests, gridRange, [
+      ...shiftColumnProperties_(columnProperties, index, 1),
+      prop,
+    ]);
+  }
+
+  /**
+   * Removes a column from the table. The cells of the column are deleted in the rows of the table,
+   * and the table range and columnProperties are updated in one batch. The cells outside the rows of
+   * the table are not moved.
+   *
+   * @param {string} columnName Column name.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column is not found, or it is the last column.
+   */
+  removeColumn(columnName) {
+    const index = this._getColumnIndex(columnName);
+    const columnProperties = this.table.columnProperties || [];
+    if (columnProperties.length === 1)
+      throw new ValidationError("The last column cannot be removed.");
+
+    const { startColumnIndex = 0 } = this.table.range;
+    const requests = [
+      {
+        deleteRange: {
+          range: {
+            ...this.table.range,
+            sheetId: this.sheetId,
+            startColumnIndex: startColumnIndex + index,
+            endColumnIndex: startColumnIndex + index + 1,
+          },
+          shiftDimension: "COLUMNS",
+        },
+      },
+    ];
+    const gridRange = {
+      ...this.table.range,
+      endColumnIndex: this.table.range.endColumnIndex - 1,
+    };
+    return this._updateColumns(
+      requests,
+      gridRange,
+      shiftColumnProperties_(
+        columnProperties.filter(({ columnIndex = 0 }) => columnIndex !== index),
+        index,
+        -1
+      )
+    );
+  }
+
+  /**
+   * Renames a column. The header cell is updated with the new name.
+   *
+   * @param {string} oldName Current column name.
+   * @param {string} newName New column name.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column is not found, or the new name is invalid or duplicated.
+   */
+  renameColumn(oldName, newName) {
+    const index = this._getColumnIndex(oldName);
+    if (!newName || typeof newName !== "string")
+      throw new ValidationError("Invalid column name.");
+    if (newName !== oldName && this._getColumnNames().includes(newName))
+      throw new ValidationError(`Column "${newName}" already exists.`);
+    return this._updateColumns(
+      [],
+      this.table.range,
+      (this.table.columnProperties || []).map((prop) =>
+        (prop.columnIndex || 0) === index
+          ? { ...prop, columnName: newName }
+          : prop
+      ),
+      { [oldName]: newName }
+    );
+  }
+
+  /**
+   * Moves a column to another position in the table. The cells of the columns are moved only in the
+   * rows of the table, and columnProperties are reordered in one batch. Cells are inserted at the
+   * destination in the rows of the table, the moved cells are cut and pasted there, and the source
+   * cells are deleted, so the cells above and below the table are not moved.
+   *
+   * @param {string} columnName Column name.
+   * @param {number} toIndex New column index in the table.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the column is not found, or the index is invalid.
+   */
+  moveColumn(columnName, toIndex) {
+    const from = this._getColumnIndex(columnName);
+    const columnProperties = this.table.columnProperties || [];
+    const width = columnProperties.length;
+    if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex >= width)
+      throw new ValidationError(
+        `Invalid index. Must be an integer from 0 to ${width - 1}.`
+      );
+    if (from === toIndex) return this;
+
+    // The columns moving to the left are moved, so the cells are never inserted at the right edge.
+    const { startColumnIndex = 0 } = this.table.range;
+    const [start, end, destination] =
+      toIndex > from
+        ? [from + 1, toIndex + 1, from]
+        : [from, from + 1, toIndex];
+    const count = end - start;
+    const columns = (startIndex, endIndex) => ({
+      ...this.table.range,
+      sheetId: this.sheetId,
+      startColumnIndex: startColumnIndex + startIndex,
+      endColumnIndex: startColumnIndex + endIndex,
+    });
+    const requests = [
+      {
+        insertRange: {
+          range: columns(destination, destination + count),
+          shiftDimension: "COLUMNS",
+        },
+      },
+      {
+        cutPaste: {
+          source: columns(start + count, end + count),
+          destination: {
+            sheetId: this.sheetId,
+            rowIndex: this.table.range.startRowIndex || 0,
+            columnIndex: startColumnIndex + destination,
+          },
+          pasteType: "PASTE_NORMAL",
+        },
+      },
+      {
+        deleteRange: {
+          range: columns(start + count, end + count),
+          shiftDimension: "COLUMNS",
+        },
+      },
+    ];
+    const order = columnProperties
+      .slice()
+      .sort((a, b) => (a.columnIndex || 0) - (b.columnIndex || 0));
+    order.splice(toIndex, 0, ...order.splice(from, 1));
+    return this._updateColumns(
+      requests,
+      this.table.range,
+      order.map((prop, columnIndex) => ({ ...prop, columnIndex }))
+    );
+  }
+
+  /**
+   * Deletes the table structure from the sheet.
+   * The cell data remains, but it is no longer a "Table" entity.
+   *
+   * @return {string|undefined} Status message. In a batch, it is returned from commit.
+   * @throws {ValidationError} If the table is created in the batch in progress.
+   */
+  remove() {
+    this._assertTableId();
+    const requests = [{ deleteTable: { tableId: this.table.tableId } }];
+    try {
+      return this.app._batchUpdate(
+        requests,
+        () =>
+          `${this.table.name} (Table ID: ${this.table.tableId}) was successfully deleted.`
+      );
+    } catch (e) {
+      throw prefixError_(e, "Failed to remove table: ");
+    }
+  }
+
+  /**
+   * Reverses the table (converts it back to normal cells) and explicitly restores cell data.
+   * This ensures that any table-specific metadata is removed while "baking" the
+   * values and formats into the cells.
+   *
+   * @return {string|undefined} Status message. In a batch, it is returned from commit.
+   * @throws {Error} If the sheet data cannot be retrieved.
+   * @throws {ValidationError} If the table is created in the batch in progress.
+   */
+  reverse() {
+    this._assertTableId();
+    // Fields explicitly requested to not be changed
+    const fieldsToFetch =
+      "sheets(properties(sheetId),data(rowData(values(userEnteredValue,textFormatRuns,chipRuns,userEnteredFormat,effectiveValue,hyperlink,note,dataValidation))))";
+
+    const obj = sget_(this.app, this.spreadsheetId, fieldsToFetch, [
+      this.rangeAsA1Notation,
+    ]);
+    // @ts-ignore
+    const f = obj.sheets.find(
+      ({ properties: { sheetId } }) => sheetId == this.sheetId
+    );
+
+    if (!f)
+      throw new SheetNotFoundError("Sheet not found during reverse operation.");
+
+    const rows = f.data[0].rowData;
+    // Fields explicitly requested to not be changed
+    const requests = [
+      { deleteTable: { tableId: this.table.tableId } },
+      { updateCells: { rows, range: this.table.range, fields: "*" } },
+    ];
+    return this.app._batchUpdate(
+      requests,
+      () =>
+        `${this.table.name} (Table ID: ${this.table.tableId}) was successfully reversed.`
+    );
+  }
+
+  /**
+   * Creates a snapshot of the table as a JSON-compatible object.
+   * It includes the table metadata and the cell data (values, formats, notes, hyperlinks and
+   * data validation), and it is restored by TableApp.restore.
+   *
+   * @return {{version: number, createdAt: string, spreadsheetId: string, sheetName: string, table: Object, rowData: Array<Object>}} The snapshot.
+   * @throws {SheetNotFoundError} If the sheet of the table is not found.
+   */
+  snapshot() {
+    const fieldsToFetch =
+      "sheets(properties(sheetId),data(rowData(values(userEnteredValue,textFormatRuns,chipRuns,userEnteredFormat,effectiveValue,hyperlink,note,dataValidation))))";
+    const obj = sget_(this.app, this.spreadsheetId, fieldsToFetch, [
+      this.rangeAsA1Notation,
+    ]);
+    // @ts-ignore
+    const f = obj.sheets.find(
+      ({ properties: { sheetId } }) => sheetId == this.sheetId
+    );
+    if (!f)
+      throw new SheetNotFoundError(
+        "Sheet not found during snapshot operation."
+      );
+
+    return {
+      version: SNAPSHOT_VERSION_,
+      createdAt: new Date().toISOString(),
+      spreadsheetId: this.spreadsheetId,
+      sheetName: this.sheetName,
+      table: copyObject_(this.getMetadata()),
+      rowData: copyObject_((f.data && f.data[0].rowData) || []),
+    };
+  }
+
+  /**
+   * Copies the table to a new destination.
+   *
+   * @param {string} a1Notation Destination range in A1 notation.
+   * @return {Table|undefined} A new Table instance representing the copy. In a batch, it is returned from commit.
+   * @throws {Error} If invalid notation or destination sheet not found.
+   */
+  copyTo(a1Notation) {
+    if (!a1Notation || typeof a1Notation !== "string")
+      throw new ValidationError("Invalid A1 Notation.");
+
+    const parsed = A1.parse(a1Notation);
+
+    // Resolve Destination Sheet ID
+    const sheetsData = sget_(
+      this.app,
+      this.spreadsheetId,
+      "sheets(properties(sheetId,title))"
+    );
+    let destSheetId, destSheetName;
+
+    if (parsed.sheetName) {
+      // @ts-ignore
+      const s = sheetsData.sheets.find(
+        ({ properties: { title } }) => title === parsed.sheetName
+      );
+      if (s) {
+        destSheetId = s.properties.sheetId;
+        destSheetName = s.properties.title;
+      } else {
+        throw new SheetNotFoundError(
+          `Destination sheet "${parsed.sheetName}" not found.`
+        );
+      }
+    } else {
+      // If no sheet provided, assume same sheet as current table
+      destSheetId = this.sheetId;
+      destSheetName = this.sheetName;
+    }
+
+    const destination = A1.toGridRange(a1Notation, destSheetId);
+    const requests = [{ copyPaste: { source: this.table.range, destination } }];
+
+    return this.app._batchUpdate(requests, () => {
+      // Fetch the new table to return an instance of it
+      const tablesData = fetchAllTables_(this.app);
+
+      // Find the table that matches the destination range
+      const copiedTableObj = tablesData.tablesBySheetNames[
+        destSheetName
+      ]?.tables?.find((t) => {
+        const tr = t.getMetadata().range;
+        return (
+          (tr.sheetId || 0) === (destSheetId || 0) &&
+          tr.startRowIndex === destination.startRowIndex &&
+          tr.startColumnIndex === destination.startColumnIndex
+        );
+      });
+
+      if (!copiedTableObj) {
+        throw new TableNotFoundError(
+          "Table copied, but could not retrieve the new table instance."
+        );
+      }
+
+      return copiedTableObj;
+    });
+  }
+
+  /**
+   * Computes the fingerprint of the table. "hash" is a stable hash of the name, the column names
+   * and types, and the unformatted values of the data rows, and "rows" are the hashes of the data rows.
+   *
+   * @param {Object} [options] Options.
+   * @param {string} [options.key] Column name of the key. The keys of the rows are kept, so getChangesSince can match the rows by them.
+   * @param {boolean} [options.save=false] If true, the hash is saved in the developer metadata of the header row for TableApp.getChangedTables.
+   * @return {{hash: string, key: string|null, rows: Array<string>, keys: Array<any>|null}} The fingerprint. It is JSON-compatible.
+   * @throws {ValidationError} If the key column is not found.
+   */
+  getFingerprint(options = {}) {
+    const { key, save = false } = options;
+    const keyIndex = key === undefined ? -1 : this._getColumnIndex(key);
+    const rows = this._getRectValues("UNFORMATTED_VALUE").slice(
+      1,
+      1 + this._getDataRowCount()
+    );
+    const fingerprint = createFingerprint_(this.table, rows, keyIndex);
+    if (save) {
+      const [saved] = this._getDeveloperMetadata(FINGERPRINT_METADATA_KEY_);
+      this._updateTable([
+        this._getDeveloperMetadataRequest(
+          FINGERPRINT_METADATA_KEY_,
+          fingerprint.hash,
+          saved && saved.metadataId
+        ),
+      ]);
+    }
+    return fingerprint;
+  }
+
+  /**
+   * Reports the changes of the data rows since a fingerprint or a snapshot.
+   * With a key column, the rows are matched by the keys. Without it, the rows are matched by their
+   * order, and the unmatched rows between matched rows are paired as modified rows by position.
+   *
+   * @param {Object|string} previous A fingerprint of getFingerprint, a snapshot of snapshot, or a hash of a fingerprint.
+   * With a hash, only "changed" is reported.
+   * @param {Object} [options] Options.
+   * @param {string} [options.key] Column name of the key. By default, the key of the fingerprint.
+   * @return {{changed: boolean, added: Array<{index: number, key?: any, values: Array<any>}>, removed: Array<{index: number, key?: any, values: Array<any>|null}>, modified: Array<{index: number, key?: any, values: Array<any>, oldValues: Array<any>|null}>}}
+   * "index" is the index of the data row in the current table, or in the previous table for the removed rows.
+   * The old values are given only for a snapshot.
+   * @throws {ValidationError} If the previous fingerprint or snapshot is invalid, or the key is not found.
+   */
+  getChangesSince(previous, options = {}) {
+    const changes = { changed: false, added: [], removed: [], modified: [] };
+    if (typeof previous === "string") {
+      changes.changed = this.getFingerprint().hash !== previous;
+      return changes;
+    }
+    let old;
+    let oldRows = null;
+    let { key } = options;
+    if (previous && previous.rowData) {
+      const { table, rowData } = upgradeSnapshot_(previous);
+      oldRows = snapshotToRows_(table, rowData);
+      const keyIndex =
+        key === undefined
+          ? -1
+          : (table.columnProperties || []).findIndex(
+              ({ columnName }) => columnName === key
+            );
+      if (key !== undefined && keyIndex === -1)
+        throw new ValidationError(`Column "${key}" not found in the snapshot.`);
+      old = createFingerprint_(table, oldRows, keyIndex);
+    } else if (
+      previous &&
+      typeof previous.hash === "string" &&
+      Array.isArray(previous.rows)
+    ) {
+      old = previous;
+      if (key === undefined) key = old.key || undefined;
+      if (key !== undefined && (old.key !== key || !old.keys))
+        throw new ValidationError(
+          `The fingerprint has no keys of "${key}". Create it with the key.`
+        );
+    } else {
+      throw new ValidationError(
+        "Invalid previous. Must be a fingerprint, a snapshot or a hash."
+      );
+    }
+
+    const keyIndex = key === undefined ? -1 : this._getColumnIndex(key);
+    const rows = this._getRectValues("UNFORMATTED_VALUE").slice(
+      1,
+      1 + this._getDataRowCount()
+    );
+    const current = createFingerprint_(this.table, rows, keyIndex);
+    changes.changed = current.hash !== old.hash;
+    const withKey = (obj, keys, i) =>
+      keyIndex === -1 ? obj : { ...obj, key: keys[i] };
+    const added = (i) =>
+      changes.added.push(
+        withKey({ index: i, values: rows[i] }, current.keys, i)
+      );
+    const removed = (j) =>
+      changes.removed.push(
+        withKey({ index: j, values: oldRows && oldRows[j] }, old.keys, j)
+      );
+    const modified = (i, j) => {
+      if (current.rows[i] === old.rows[j]) return;
+      changes.modified.push(
+        withKey(
+          { index: i, values: rows[i], oldValues: oldRows && oldRows[j] },
+          current.keys,
+          i
+        )
+      );
+    };
+
+    if (keyIndex !== -1) {
+      const toKey = (v) => JSON.stringify(v);
+      const oldIndexes = new Map(old.keys.map((k, j) => [toKey(k), j]));
+      const matched = new Set();
+      current.keys.forEach((k, i) => {
+        const j = oldIndexes.get(toKey(k));
+        if (j === undefined) return added(i);
+        matched.add(j);
+        modified(i, j);
+      });
+      old.keys.forEach((_, j) => {
+        if (!matched.has(j)) removed(j);
+      });
+      return changes;
+    }
+
+    // Without key, the unmatched rows of a hunk are paired by position.
+    let hunk = { removes: [], adds: [] };
+    const flush = () => {
+      const { removes, adds } = hunk;
+      const paired = Math.min(removes.length, adds.length);
+      removes.forEach((j, n) =>
+        n < paired ? modified(adds[n], j) : removed(j)
+      );
+      adds.slice(paired).forEach(added);
+      hunk = { removes: [], adds: [] };
+    };
+    diffSequences_(old.rows, current.rows).forEach(({ a, b }) => {
+      if (a === -1) hunk.adds.push(b);
+      else if (b === -1) hunk.removes.push(a);
+      else flush();
+    });
+    flush();
+    return changes;
+  }
+
+  /**
+   * Sets a tag of the table. Tags are saved in the developer metadata of the header row with the
+   * table ID, so the table is found by TableApp.getTablesByTag after it is renamed or moved.
+   *
+   * @param {string} key Tag key.
+   * @param {string} value Tag value.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the key is invalid.
+   */
+  setTag(key, value) {
+    const metadataKey = toTagMetadataKey_(key);
+    const [saved] = this._getDeveloperMetadata(metadataKey);
+    const requests = [
+      this._getDeveloperMetadataRequest(
+        metadataKey,
+        String(value),
+        saved && saved.metadataId
+      ),
+    ];
+    this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Gets the tags of the table.
+   *
+   * @return {Object<string, string>} Tag values keyed by the tag keys.
+   */
+  getTags() {
+    return this._getDeveloperMetadata().reduce((o, { metadataKey, value }) => {
+      if (metadataKey.startsWith(TAG_METADATA_KEY_PREFIX_))
+        o[metadataKey.slice(TAG_METADATA_KEY_PREFIX_.length)] = value;
+      return o;
+    }, {});
+  }
+
+  /**
+   * Removes a tag of the table. Nothing is done if the tag does not exist.
+   *
+   * @param {string} key Tag key.
+   * @return {Table} This instance.
+   * @throws {ValidationError} If the key is invalid.
+   */
+  removeTag(key) {
+    const saved = this._getDeveloperMetadata(toTagMetadataKey_(key));
+    if (saved.length === 0) return this;
+    const requests = saved.map(({ metadataId }) => ({
+      deleteDeveloperMetadata: {
+        dataFilter: { developerMetadataLookup: { metadataId } },
+      },
+    }));
+    this._updateTable(requests);
+    return this;
+  }
+
+  /**
+   * Copies the table to another spreadsheet. The table (properties, column types, dropdown rules and
+   * banding) and its cell data are recreated from a snapshot, so it works across spreadsheets.
+   * When the name is used in the target spreadsheet, the suffix "_n" is added to the name.
+   *
+   * @param {string} targetSpreadsheetId The ID of the target spreadsheet. It can be the spreadsheet of the table.
+   * @param {string} a1Notation The top-left cell of the copy in A1 notation (e.g. "Sheet1!A1").
+   * @param {Object} [options] Options.
+   * @param {string} [options.name] The name of the copy. By default, the name of the table.
+   * @param {boolean} [options.includeData=true] If false, only the header and footer rows are copied with an empty data row.
+   * @param {boolean} [options.createSheet=false] Creates the sheet of the anchor if it does not exist.
+   * @param {boolean} [options.overwrite=false] Allows overwriting non-empty cells.
+   * @return {Table} The copied Table bound to the target spreadsheet. In a batch of the same spreadsheet, its table ID is set when the batch is committed.
+   * @throws {ValidationError} If the A1 notation is invalid.
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false.
+   */
+  copyToSpreadsheet(targetSpreadsheetId, a1Notation, options = {}) {
+    return this._copyToSpreadsheet(targetSpreadsheetId, a1Notation, options);
+  }
+
+  /**
+   * Moves the table to another spreadsheet or position.
+   * The table is copied by copyToSpreadsheet, and then the table and its cells are removed from the source.
+   * In the same spreadsheet, both are sent in one batchUpdate, so the name of the table is kept.
+   * The tags, the saved fingerprint and the calculated columns are moved to the new table. They are
+   * saved by another batchUpdate after the table is created.
+   *
+   * @param {string} targetSpreadsheetId The ID of the target spreadsheet. It can be the spreadsheet of the table.
+   * @param {string} a1Notation The top-left cell of the table in A1 notation (e.g. "Sheet1!A1").
+   * @param {Object} [options] Options of copyToSpreadsheet.
+   * @return {Table} The moved Table bound to the target spreadsheet. In a batch of the same spreadsheet, its table ID is set when the batch is committed.
+   * @throws {ValidationError} If the A1 notation is invalid.
+   * @throws {SheetNotFoundError} If the sheet does not exist and createSheet is false.
+   * @throws {ConflictError} If the range has non-empty cells and overwrite is false.
+   * @throws {ValidationError} If the table is created in the batch in progress.
+   */
+  moveTo(targetSpreadsheetId, a1Notation, options = {}) {
+    this._assertTableId();
+    const metadata = this._getDeveloperMetadata();
+    const requests = [
+      { deleteTable: { tableId: this.table.tableId } },
+      { updateCells: { range: this.table.range, fields: "*" } },
+      ...metadata.map(({ metadataId }) => ({
+        deleteDeveloperMetadata: {
+          dataFilter: { developerMetadataLookup: { metadataId } },
+        },
+      })),
+    ];
+    const renameFormulas = (columns, table) =>
+      Object.keys(columns).reduce((o, columnName) => {
+        const formulaOrFn = columns[columnName];
+        o[columnName] =
+          typeof formulaOrFn === "string"
+            ? replaceTableName_(formulaOrFn, this.table.name, table.table.name)
+            : formulaOrFn;
+        return o;
+      }, {});
+    const moveMetadata = (table) => {
+      if (metadata.length === 0) return table;
+      return table._updateTable(
+        metadata.map(({ metadataKey, value }) =>
+          table._getDeveloperMetadataRequest(
+            metadataKey,
+            metadataKey === CALCULATED_COLUMNS_METADATA_KEY_
+              ? renameFormulas(value, table)
+              : value
+          )
+        )
+      );
+    };
+    const saved = metadata.find(
+      ({ metadataKey }) => metadataKey === CALCULATED_COLUMNS_METADATA_KEY_
+    );
+    const columns = this.calculatedColumns || (saved && saved.value) || {};
+    if (targetSpreadsheetId !== this.spreadsheetId) {
+      const table = this._copyToSpreadsheet(
+        targetSpreadsheetId,
+        a1Notation,
+        options
+      );
+      table.calculatedColumns = renameFormulas(columns, table);
+      moveMetadata(table);
+      this.app._batchUpdate(requests);
+      return table;
+    }
+
+    const batching = this.app._isBatching();
+    if (!batching) this.app.beginBatch();
+    let table;
+    try {
+      this.app._batchUpdate(requests);
+      table = this._copyToSpreadsheet(targetSpreadsheetId, a1Notation, {
+        ...options,
+        releasedName: this.table.name,
+      });
+      table.calculatedColumns = renameFormulas(columns, table);
+      // The metadata values need the new table ID, so they are saved after the commit.
+      if (metadata.length > 0)
+        this.app._batchUpdate([], () => moveMetadata(table));
+    } catch (e) {
+      if (!batching) this.app.discardBatch();
+      throw e;
+    }
+    if (!batching) this.app.commit();
+    return table;
+  }
+
+  /**
+   * Returns the column names indexed by the column index.
+   *
+   * @private
+   * @return {Array<string>}
+   * @throws {Error} If the table has no column properties.
+   */
+  _getColumnNames() {
+    const { columnProperties } = this.table;
+    if (!columnProperties || columnProperties.length === 0)
+      throw new ValidationError(
+        `Table "${this.table.name}" has no column properties.`
+      );
+    return columnProperties.reduce((ar, { columnIndex = 0, columnName }) => {
+      ar[columnIndex] = columnName;
+      return ar;
+    }, []);
+  }
+
+  /**
+   * Returns the column types indexed by the column index.
+   *
+   * @private
+   * @return {Array<string|undefined>}
+   */
+  _getColumnTypes() {
+    return (this.table.columnProperties || []).reduce(
+      (ar, { columnIndex = 0, columnType }) => {
+        ar[columnIndex] = columnType;
+        return ar;
+      },
+      []
+    );
+  }
+
+  /**
+   * Returns the time zone of the spreadsheet. The value is cached.
+   *
+   * @private
+   * @return {string}
+   */
+  _getTimeZone() {
+    if (!this.timeZone) {
+      const res = sget_(this.app, this.spreadsheetId, "properties(timeZone)");
+      // @ts-ignore
+      this.timeZone = res.properties.timeZone;
+    }
+    return this.timeZone;
+  }
+
+  /**
+   * Returns the time zone of the spreadsheet only when any of the values is a Date object,
+   * so that the spreadsheet is not requested without need.
+   *
+   * @private
+   * @param {Array<any>} values Flat array of values.
+   * @return {string|null}
+   */
+  _getTimeZoneForValues(values) {
+    return values.some(isDate_) ? this._getTimeZone() : null;
+  }
+
+  /**
+   * Converts the unformatted values of the data rows by the column types.
+   *
+   * @private
+   * @param {Array<Array<any>>} values Values of the whole table range.
+   * @return {Array<Array<any>>}
+   */
+  _toTypedValues(values) {
+    const types = this._getColumnTypes();
+    const timeZone = types.some((t) =>
+      ["DATE", "TIME", "DATE_TIME"].includes(t)
+    )
+      ? this._getTimeZone()
+      : null;
+    const dataRowCount = this._getDataRowCount();
+    return values.map((row, i) =>
+      i === 0 || i > dataRowCount
+        ? row
+        : row.map((v, j) => toTypedValue_(v, types[j], timeZone))
+    );
+  }
+
+  /**
+   * Converts typed values to the values for Values.update.
+   *
+   * @private
+   * @param {Array<Array<any>>} values
+   * @return {Array<Array<any>>}
+   */
+  _fromTypedValues(values) {
+    const timeZone = this._getTimeZoneForValues(values.flat());
+    return values.map((row) =>
+      row.map((v) => {
+        if (v === null || v === undefined) return "";
+        return isDate_(v) ? dateToSerial_(v, timeZone) : v;
+      })
+    );
+  }
+
+  /**
+   * Returns the values of the table range as a rectangle. Missing cells are filled with "".
+   *
+   * @private
+   * @param {string} valueRenderOption
+   * @return {Array<Array<any>>}
+   */
+  _getRectValues(valueRenderOption) {
+    const values = this.getValues({ valueRenderOption }) || [];
+    const {
+      startRowIndex = 0,
+      endRowIndex,
+      startColumnIndex = 0,
+      endColumnIndex,
+    } = this.table.range;
+    return [...Array(endRowIndex - startRowIndex)].map((_, i) =>
+      [...Array(endColumnIndex - startColumnIndex)].map((_, j) => {
+        const v = values[i] && values[i][j];
+        return v === undefined || v === null ? "" : v;
+      })
+    );
+  }
+
+  /**
+   * Returns the colors of rowsProperties as hex strings.
+   * Theme colors are resolved by the theme of the spreadsheet.
+   *
+   * @private
+   * @return {{header: string|null, firstBand: string|null, secondBand: string|null, footer: string|null}}
+   */
+  _getRowColors() {
+    const props = this.table.rowsProperties || {};
+    const keys = ["header", "firstBand", "secondBand", "footer"];
+    const styles = keys.map((key) => props[`${key}ColorStyle`]);
+    let themeColors = [];
+    if (styles.some((style) => style && style.themeColor)) {
+      const res = sget_(
+        this.app,
+        this.spreadsheetId,
+        "properties(spreadsheetTheme(themeColors))"
+      );
+      // @ts-ignore
+      const theme = res.properties.spreadsheetTheme;
+      themeColors = (theme && theme.themeColors) || [];
+    }
+    return keys.reduce((o, key, i) => {
+      o[key] = colorStyleToHex_(styles[i], themeColors);
+      return o;
+    }, {});
+  }
+
+  /**
+   * Checks whether the last row of the table is a footer.
+   *
+   * @private
+   * @return {boolean}
+   */
+  _hasFooter() {
+    const { rowsProperties } = this.table;
+    return Boolean(rowsProperties && rowsProperties.footerColorStyle);
+  }
+
+  /**
+   * Returns the number of data rows (excluding the header and footer rows).
+   *
+   * @private
+   * @return {number}
+   */
+  _getDataRowCount() {
+    const { startRowIndex = 0, endRowIndex } = this.table.range;
+    const count = endRowIndex - startRowIndex - 1 - (this._hasFooter() ? 1 : 0);
+    return Math.max(count, 0);
+  }
+
+  /**
+   * Returns the GridRange of the data rows (excluding the header and footer rows).
+   *
+   * @private
+   * @return {Object}
+   */
+  _getDataGridRange() {
+    const { startRowIndex = 0 } = this.table.range;
+    return {
+      ...this.table.range,
+      startRowIndex: startRowIndex + 1,
+      endRowIndex: startRowIndex + 1 + this._getDataRowCount(),
+    };
+  }
+
+  /**
+   * Writes values from the top-left cell of a range with Values.update (USER_ENTERED).
+   * Values.update is not a request of batchUpdate, so it cannot be queued in a batch.
+   *
+   * @private
+   * @param {Array<Array<any>>} values
+   * @param {Object} gridRange
+   * @return {string} The updated range in A1 notation.
+   * @throws {ValidationError} If a batch is in progress.
+   */
+  _writeValues(values, gridRange) {
+    if (this.app._isBatching())
+      throw new ValidationError(
+        "Values cannot be written in a batch. Please write them before or after the batch."
+      );
+    const a1Notation = A1.format(gridRange, { sheetName: this.sheetName });
+    return valuesUpdate_(this.app, this.spreadsheetId, values, a1Notation);
+  }
+
+  /**
+   * Updates the local range and its A1 notation.
+   *
+   * @private
+   * @param {Object} gridRange
+   */
+  _setLocalRange(gridRange) {
+    this.table.range = gridRange;
+    this.rangeAsA1Notation = A1.format(gridRange, {
+      sheetName: this.sheetName,
+    });
+  }
+
+  /**
+   * Builds the requests which make room for new rows directly after the data rows.
+   * Sheet rows are inserted when the footer or any content below the table would be
+   * overwritten, and appended when the sheet does not have enough rows.
+   *
+   * @private
+   * @param {number} count Number of new rows.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getRowInsertionRequests(count) {
+    const { endRowIndex } = this.table.range;
+    const startIndex = endRowIndex - (this._hasFooter() ? 1 : 0);
+    const insertDimension = {
+      range: {
+        sheetId: this.sheetId,
+        dimension: "ROWS",
+        startIndex,
+        endIndex: startIndex + count,
+      },
+      inheritFromBefore: true,
+    };
+    if (this._hasFooter()) return [{ insertDimension }];
+
+    const res = sget_(
+      this.app,
+      this.spreadsheetId,
+      "sheets(properties(sheetId,gridProperties(rowCount)))"
+    );
+    // @ts-ignore
+    const sheet = res.sheets.find(
+      ({ properties: { sheetId } }) => (sheetId || 0) === (this.sheetId || 0)
+    );
+    if (!sheet)
+      throw new SheetNotFoundError(`Sheet "${this.sheetName}" not found.`);
+    const { rowCount } = sheet.properties.gridProperties;
+
+    if (rowCount > endRowIndex) {
+      const below = {
+        ...this.table.range,
+        startRowIndex: endRowIndex,
+        endRowIndex: Math.min(endRowIndex + count, rowCount),
+      };
+      const values =
+        valuesGet_(
+          this.app,
+          this.spreadsheetId,
+          A1.format(below, { sheetName: this.sheetName }),
+          "FORMULA"
+        ) || [];
+      if (values.some((row) => row.some((v) => v !== "")))
+        return [{ insertDimension }];
+    }
+    if (rowCount < endRowIndex + count) {
+      return [
+        {
+          appendDimension: {
+            sheetId: this.sheetId,
+            dimension: "ROWS",
+            length: endRowIndex + count - rowCount,
+          },
+        },
+      ];
+    }
+    return [];
+  }
+
+  /**
+   * Returns the column index of a column name.
+   *
+   * @private
+   * @param {string} columnName
+   * @return {number}
+   * @throws {Error} If the column is not found.
+   */
+  _getColumnIndex(columnName) {
+    const index = this._getColumnNames().indexOf(columnName);
+    if (index === -1)
+      throw new ValidationError(`Column "${columnName}" not found.`);
+    return index;
+  }
+
+  /**
+   * Builds the requests which insert the values after the data rows and extend the table range.
+   *
+   * @private
+   * @param {Array<Array<any>>} values 2D array of values.
+   * @return {{requests: Array<Object>, gridRange: Object}} Requests and the new table range.
+   * @throws {Error} If a row is wider than the table.
+   */
+  _getAppendRequests(values) {
+    const {
+      startColumnIndex = 0,
+      endColumnIndex,
+      endRowIndex,
+    } = this.table.range;
+    const width = endColumnIndex - startColumnIndex;
+    if (values.some((row) => row.length > width))
+      throw new ValidationError(`Each row must have at most ${width} columns.`);
+
+    const rowIndex = endRowIndex - (this._hasFooter() ? 1 : 0);
+    const timeZone = this._getTimeZoneForValues(values.flat());
+    const gridRange = {
+      ...this.table.range,
+      endRowIndex: endRowIndex + values.length,
+    };
+    const requests = [
+      ...this._getRowInsertionRequests(values.length),
+      {
+        updateCells: {
+          rows: toRowData_(values, timeZone),
+          start: {
+            sheetId: this.sheetId,
+            rowIndex,
+            columnIndex: startColumnIndex,
+          },
+          fields: "userEnteredValue",
+        },
+      },
+      ...this._getRangeRequests(gridRange),
+    ];
+    return { requests, gridRange };
+  }
+
+  /**
+   * Builds the requests which replace the data rows with values.
+   * The data rows are overwritten, and the rows are appended or deleted for the difference.
+   * At least one data row is kept (cleared), because a table needs it.
+   *
+   * @private
+   * @param {Array<Array<any>>} values
+   * @return {{requests: Array<Object>, gridRange: Object, summary: {inserted: number, updated: number, deleted: number}}}
+   */
+  _getReplaceRequests(values) {
+    const { startRowIndex = 0, startColumnIndex = 0 } = this.table.range;
+    const dataRowCount = this._getDataRowCount();
+    const width = this._getColumnNames().length;
+    const keep = Math.max(values.length, 1);
+    const written = (values.length > 0 ? values : [[]])
+      .slice(0, dataRowCount)
+      .map((row) =>
+        [...Array(width)].map((_, i) => (i < row.length ? row[i] : ""))
+      );
+
+    const requests = [];
+    let gridRange = this.table.range;
+    if (written.length > 0) {
+      requests.push({
+        updateCells: {
+          rows: toRowData_(written, this._getTimeZoneForValues(written.flat())),
+          start: {
+            sheetId: this.sheetId,
+            rowIndex: startRowIndex + 1,
+            columnIndex: startColumnIndex,
+          },
+          fields: "userEnteredValue",
+        },
+      });
+    }
+    if (values.length > dataRowCount) {
+      const append = this._getAppendRequests(values.slice(dataRowCount));
+      requests.push(...append.requests);
+      gridRange = append.gridRange;
+    } else if (keep < dataRowCount) {
+      requests.push({
+        deleteDimension: {
+          range: {
+            sheetId: this.sheetId,
+            dimension: "ROWS",
+            startIndex: startRowIndex + 1 + keep,
+            endIndex: startRowIndex + 1 + dataRowCount,
+          },
+        },
+      });
+      gridRange = {
+        ...this.table.range,
+        endRowIndex: this.table.range.endRowIndex - (dataRowCount - keep),
+      };
+      requests.push(...this._getRangeRequests(gridRange));
+    }
+    const summary = {
+      inserted: Math.max(0, values.length - dataRowCount),
+      updated: Math.min(values.length, dataRowCount),
+      deleted: Math.max(0, dataRowCount - values.length),
+    };
+    return { requests, gridRange, summary };
+  }
+
+  /**
+   * Builds the updateCells requests which write cells of a row.
+   * Adjacent cells are written by one request.
+   *
+   * @private
+   * @param {number} rowIndex Row index in the sheet.
+   * @param {Array<{index: number, value: any}>} cells Cells sorted by the column index in the table.
+   * @param {string|null} timeZone Time zone used to convert Date objects.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getCellRequests(rowIndex, cells, timeZone) {
+    const { startColumnIndex = 0 } = this.table.range;
+    return cells
+      .reduce((ar, cell) => {
+        const last = ar[ar.length - 1];
+        if (last && last[last.length - 1].index + 1 === cell.index)
+          last.push(cell);
+        else ar.push([cell]);
+        return ar;
+      }, [])
+      .map((group) => ({
+        updateCells: {
+          rows: [
+            {
+              values: group.map(({ value }) => ({
+                userEnteredValue: toExtendedValue_(value, timeZone),
+              })),
+            },
+          ],
+          start: {
+            sheetId: this.sheetId,
+            rowIndex,
+            columnIndex: startColumnIndex + group[0].index,
+          },
+          fields: "userEnteredValue",
+        },
+      }));
+  }
+
+  /**
+   * Builds the updateCells requests which write a patch to a data row.
+   * Consecutive columns are written with a single request.
+   *
+   * @private
+   * @param {number} dataRowIndex Index of the data row (0 is the row below the header).
+   * @param {Object} patch Object keyed by the column names.
+   * @return {Array<Object>} Requests for batchUpdate.
+   * @throws {Error} If the patch includes an unknown column.
+   */
+  _getRowPatchRequests(dataRowIndex, patch) {
+    const { startRowIndex = 0 } = this.table.range;
+    const cells = Object.keys(patch)
+      .map((name) => ({
+        index: this._getColumnIndex(name),
+        value: patch[name],
+      }))
+      .sort((a, b) => a.index - b.index);
+    const timeZone = this._getTimeZoneForValues(
+      cells.map(({ value }) => value)
+    );
+    return this._getCellRequests(
+      startRowIndex + 1 + dataRowIndex,
+      cells,
+      timeZone
+    );
+  }
+
+  /**
+   * Converts records to a 2D array ordered by the column names.
+   *
+   * @private
+   * @param {Array<Object>} records
+   * @return {Array<Array<any>>}
+   * @throws {Error} If records are not an array of objects.
+   */
+  _recordsToValues(records) {
+    if (
+      !Array.isArray(records) ||
+      records.some((r) => !r || typeof r !== "object" || Array.isArray(r))
+    ) {
+      throw new ValidationError(
+        "Invalid records. Must be an array of objects."
+      );
+    }
+    const columnNames = this._getColumnNames();
+    return records.map((r) =>
+      columnNames.map((name) => (r[name] == null ? "" : r[name]))
+    );
+  }
+
+  /**
+   * Sorts the data rows in the script, and builds the request which rewrites them in the new order.
+   * Values, formats, notes and chips of the cells are moved with the rows.
+   *
+   * @private
+   * @param {Array<{index: number, descending: boolean, compare?: function(any, any): number}>} sortSpecs
+   * @return {Array<Object>} Requests for batchUpdate. Empty if the order is not changed.
+   */
+  _getSortedRowsRequests(sortSpecs) {
+    const values = this._getRectValues("UNFORMATTED_VALUE").slice(
+      1,
+      1 + this._getDataRowCount()
+    );
+    const order = values
+      .map((_, i) => i)
+      .sort((x, y) => {
+        for (const { index, descending, compare } of sortSpecs) {
+          const a = values[x][index];
+          const b = values[y][index];
+          if (isBlank_(a) || isBlank_(b)) {
+            if (isBlank_(a) !== isBlank_(b)) return isBlank_(a) ? 1 : -1;
+            continue;
+          }
+          const c = (compare || compareValues_)(a, b);
+          if (c !== 0) return descending ? -c : c;
+        }
+        return x - y;
+      });
+    if (order.every((v, i) => v === i)) return [];
+
+    const range = this._getDataGridRange();
+    const fields =
+      "userEnteredValue,userEnteredFormat,note,textFormatRuns,dataValidation,chipRuns";
+    const res = sget_(
+      this.app,
+      this.spreadsheetId,
+      `sheets(data(rowData(values(${fields}))))`,
+      [A1.format(range, { sheetName: this.sheetName })]
+    );
+    // @ts-ignore
+    const [sheet] = res.sheets;
+    const rowData = (sheet.data && sheet.data[0].rowData) || [];
+    const rows = order.map((i) => {
+      const cells = (rowData[i] && rowData[i].values) || [];
+      return {
+        values: cells.map((cell) =>
+          fields.split(",").reduce((o, key) => {
+            if (cell[key] !== undefined) o[key] = cell[key];
+            return o;
+          }, {})
+        ),
+      };
+    });
+    return [{ updateCells: { rows, range, fields } }];
+  }
+
+  /**
+   * Fetches the filter views of the table.
+   *
+   * @private
+   * @return {Array<Object>}
+   */
+  _getFilterViews() {
+    const res = sget_(
+      this.app,
+      this.spreadsheetId,
+      "sheets(properties(sheetId),filterViews)"
+    );
+    // @ts-ignore
+    const sheet = res.sheets.find(
+      ({ properties: { sheetId } }) => (sheetId || 0) === (this.sheetId || 0)
+    );
+    return ((sheet && sheet.filterViews) || []).filter((view) =>
+      isTableFilterView_(view, this.table)
+    );
+  }
+
+  /**
+   * Builds the request which moves a filter view to a range.
+   * The column indexes of the criteria and sort specs, and the relative references of the custom
+   * formulas are shifted with the range.
+   *
+   * @private
+   * @param {Object} view FilterView.
+   * @param {Object} gridRange New range.
+   * @return {Object} Request for batchUpdate.
+   */
+  _getFilterViewRangeRequest(view, gridRange) {
+    const { filterViewId, filterSpecs, sortSpecs } = view;
+    const rowShift =
+      (gridRange.startRowIndex || 0) - (this.table.range.startRowIndex || 0);
+    const shift =
+      (gridRange.startColumnIndex || 0) -
+      (this.table.range.startColumnIndex || 0);
+    const filter = { filterViewId, range: gridRange };
+    if ((shift !== 0 || rowShift !== 0) && filterSpecs)
+      filter.filterSpecs = filterSpecs.map((spec) => {
+        const shifted = {
+          ...spec,
+          columnIndex: (spec.columnIndex || 0) + shift,
+        };
+        const { condition } = spec.filterCriteria || {};
+        if (condition && condition.type === "CUSTOM_FORMULA")
+          shifted.filterCriteria = {
+            ...spec.filterCriteria,
+            condition: {
+              ...condition,
+              values: (condition.values || []).map((v) => ({
+                ...v,
+                userEnteredValue: shiftFormulaReferences_(
+                  v.userEnteredValue,
+                  rowShift,
+                  shift
+                ),
+              })),
+            },
+          };
+        return shifted;
+      });
+    if (shift !== 0 && sortSpecs)
+      filter.sortSpecs = sortSpecs.map((spec) => ({
+        ...spec,
+        dimensionIndex: (spec.dimensionIndex || 0) + shift,
+      }));
+    const fields = Object.keys(filter)
+      .filter((key) => key !== "filterViewId")
+      .join(",");
+    return { updateFilterView: { filter, fields } };
+  }
+
+  /**
+   * Checks that a filter view is a view of the table.
+   *
+   * @private
+   * @param {number} filterViewId
+   * @throws {ValidationError} If the filter view is not found in the views of the table.
+   */
+  _assertFilterView(filterViewId) {
+    if (
+      !this._getFilterViews().some(
+        (view) => String(view.filterViewId) === String(filterViewId)
+      )
+    )
+      throw new ValidationError(
+        `Filter view "${filterViewId}" not found in table "${this.table.name}".`
+      );
+  }
+
+  /**
+   * Converts the options of a filter view to the fields of FilterView.
+   *
+   * @private
+   * @param {Object} options
+   * @return {Object} FilterView without range.
+   * @throws {ValidationError} If the options are invalid.
+   */
+  _toFilterView({ title, criteria, sort } = {}) {
+    const { startRowIndex = 0, startColumnIndex = 0 } = this.table.range;
+    const filter = {};
+    if (title !== undefined) filter.title = String(title);
+    if (criteria !== undefined) {
+      if (!criteria || typeof criteria !== "object")
+        throw new ValidationError("Invalid criteria. Must be an object.");
+      filter.filterSpecs = Object.keys(criteria).map((name) => {
+        const index = this._getColumnIndex(name);
+        const { values, hiddenValues, condition, value } = criteria[name] || {};
+        const filterCriteria = {};
+        if (Array.isArray(values)) {
+          if (condition !== undefined)
+            throw new ValidationError(
+              `Invalid criteria of column "${name}". "values" and "condition" cannot be used together.`
+            );
+          // Hidden values would show the values added later, so the shown values are a formula.
+          const cell = A1.format({
+            startRowIndex: startRowIndex + 1,
+            endRowIndex: startRowIndex + 2,
+            startColumnIndex: startColumnIndex + index,
+            endColumnIndex: startColumnIndex + index + 1,
+          });
+          filterCriteria.condition = {
+            type: "CUSTOM_FORMULA",
+            values: [{ userEnteredValue: toValuesFormula_(cell, values) }],
+          };
+        } else if (Array.isArray(hiddenValues)) {
+          filterCriteria.hiddenValues = hiddenValues.map(String);
+        }
+        if (condition && typeof condition === "object") {
+          filterCriteria.condition = condition;
+        } else if (typeof condition === "string") {
+          filterCriteria.condition = {
+            type: condition.toUpperCase(),
+            values: (value === undefined ? [] : [].concat(value)).map((v) => ({
+              userEnteredValue: String(v),
+            })),
+          };
+        }
+        if (Object.keys(filterCriteria).length === 0)
+          throw new ValidationError(
+            `Invalid criteria of column "${name}". Use "values", "hiddenValues" or "condition".`
+          );
+        return { columnIndex: startColumnIndex + index, filterCriteria };
+      });
+    }
+    if (sort !== undefined) {
+      if (!Array.isArray(sort))
+        throw new ValidationError("Invalid sort. Must be an array.");
+      filter.sortSpecs = sort.map(({ column, order = "asc" } = {}) => {
+        if (!["asc", "desc"].includes(order))
+          throw new ValidationError(
+            `Invalid order "${order}". Use "asc" or "desc".`
+          );
+        return {
+          dimensionIndex: startColumnIndex + this._getColumnIndex(column),
+          sortOrder: order === "desc" ? "DESCENDING" : "ASCENDING",
+        };
+      });
+    }
+    return filter;
+  }
+
+  /**
+   * Builds the requests which change the table range.
+   * The calculated columns are filled and the conditional format rules are moved for the data rows
+   * of the new range. When the table has a footer, its SUBTOTAL formulas are rewritten for them.
+   * The footer row is expected at the last row of the new range, or it is moved there with "moveFooter".
+   *
+   * @private
+   * @param {Object} gridRange New table range.
+   * @param {boolean} [moveFooter=false] If true, the cells of the footer row are moved to the last row of the new range.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getRangeRequests(gridRange, moveFooter = false) {
+    const requests = [
+      {
+        updateTable: {
+          fields: "range",
+          table: { range: gridRange, tableId: this.table.tableId },
+        },
+      },
+      ...this._getCalculatedColumnRequests(gridRange, this.table.name),
+      ...this._getConditionalFormatRangeRequests(gridRange),
+    ];
+    if (!this._hasFooter()) return requests;
+
+    const current = { ...this.table.range };
+    current.startRowIndex = current.endRowIndex - 1;
+    const [footer = []] =
+      valuesGet_(
+        this.app,
+        this.spreadsheetId,
+        A1.format(current, { sheetName: this.sheetName }),
+        "FORMULA"
+      ) || [];
+    const { startColumnIndex = 0, endColumnIndex } = gridRange;
+    const width = endColumnIndex - startColumnIndex;
+    const rowIndex = gridRange.endRowIndex - 1;
+    const cells = [...Array(width)]
+      .map((_, index) => {
+        const value = footer[index] === undefined ? "" : footer[index];
+        const m = String(value).match(SUBTOTAL_FORMULA_REGEX_);
+        if (m)
+          return { index, value: toSubtotalFormula_(+m[1], gridRange, index) };
+        return moveFooter ? { index, value } : null;
+      })
+      .filter(Boolean);
+    if (moveFooter && rowIndex !== current.startRowIndex) {
+      requests.push({
+        updateCells: { range: current, fields: "userEnteredValue" },
+      });
+    }
+    requests.push(...this._getCellRequests(rowIndex, cells, null));
+    return requests;
+  }
+
+  /**
+   * Builds a table reference of a column with a table name.
+   *
+   * @private
+   * @param {string} tableName
+   * @param {string} columnName
+   * @param {{row?: string}} [options]
+   * @return {string}
+   * @throws {ValidationError} If the column is not found, or the row option is invalid.
+   */
+  _ref(tableName, columnName, { row } = {}) {
+    this._getColumnIndex(columnName);
+    const ref = `${tableName}[${columnName}]`;
+    if (row === undefined) return ref;
+    if (row !== "this")
+      throw new ValidationError(`Invalid row "${row}". Use "this".`);
+    return `INDEX(${ref},ROW()-ROW(${ref})+1)`;
+  }
+
+  /**
+   * Builds the requests which fill the data rows of the calculated columns with their formulas.
+   *
+   * @private
+   * @param {Object} gridRange Table range.
+   * @param {string} tableName Table name used in the formulas.
+   * @param {Object<string, string|function>} [columns] Formulas keyed by the column names. By default, the calculated columns of the table.
+   * @param {string} [oldName] Previous table name, which is replaced in the string formulas.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getCalculatedColumnRequests(
+    gridRange,
+    tableName,
+    columns = this._getCalculatedColumns(),
+    oldName
+  ) {
+    const { startRowIndex = 0, endRowIndex, startColumnIndex = 0 } = gridRange;
+    const end = endRowIndex - (this._hasFooter() ? 1 : 0);
+    if (end <= startRowIndex + 1) return [];
+    const ref = (columnName, options) =>
+      this._ref(tableName, columnName, options);
+    return Object.keys(columns).map((columnName) => {
+      const formulaOrFn = columns[columnName];
+      let formula =
+        typeof formulaOrFn === "function" ? formulaOrFn(ref) : formulaOrFn;
+      if (oldName && typeof formulaOrFn === "string")
+        formula = replaceTableName_(formula, oldName, tableName);
+      const columnIndex = startColumnIndex + this._getColumnIndex(columnName);
+      return {
+        repeatCell: {
+          range: {
+            sheetId: this.sheetId,
+            startRowIndex: startRowIndex + 1,
+            endRowIndex: end,
+            startColumnIndex: columnIndex,
+            endColumnIndex: columnIndex + 1,
+          },
+          cell: { userEnteredValue: { formulaValue: formula } },
+          fields: "userEnteredValue",
+        },
+      };
+    });
+  }
+
+  /**
+   * Fetches the conditional format rules over the data rows of the table.
+   *
+   * @private
+   * @return {Array<{index: number, rule: Object}>}
+   */
+  _getConditionalFormats() {
+    const res = sget_(
+      this.app,
+      this.spreadsheetId,
+      "sheets(properties(sheetId),conditionalFormats)"
+    );
+    // @ts-ignore
+    const sheet = res.sheets.find(
+      ({ properties: { sheetId } }) => (sheetId || 0) === (this.sheetId || 0)
+    );
+    return ((sheet && sheet.conditionalFormats) || [])
+      .map((rule, index) => ({ index, rule }))
+      .filter(({ rule }) => isTableConditionalFormat_(rule, this.table.range));
+  }
+
+  /**
+   * Checks that no conditional format rule of the sheet is added or deleted by a queued call of the
+   * batch. The rule indexes are read before the commit, and those calls shift them.
+   *
+   * @private
+   * @throws {ValidationError} If a queued call adds or deletes a conditional format rule of the sheet.
+   */
+  _assertConditionalFormatIndexes() {
+    if (!this.app._isBatching()) return;
+    const sheetId = this.sheetId || 0;
+    const shifted = this.app.batchQueue.some(({ requests }) =>
+      requests.some(
+        ({ addConditionalFormatRule: add, deleteConditionalFormatRule: del }) =>
+          (add && (add.rule.ranges[0].sheetId || 0) === sheetId) ||
+          (del && (del.sheetId || 0) === sheetId)
+      )
+    );
+    if (shifted)
+      throw new ValidationError(
+        `Conditional format rules of sheet "${this.sheetName}" are added or deleted in this batch. Please commit the batch before changing the range or the rules of table "${this.table.name}".`
+      );
+  }
+
+  /**
+   * Builds the requests which move the conditional format rules of the table to the data rows of a range.
+   * The rules are not fetched when the table had no rules when it was fetched, and no rule is added
+   * by addConditionalFormat.
+   *
+   * @private
+   * @param {Object} gridRange New table range.
+   * @param {boolean} [hasFooter] Whether the new range has a footer. Defaults to the current state.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getConditionalFormatRangeRequests(gridRange, hasFooter = this._hasFooter()) {
+    const { startRowIndex = 0, startColumnIndex = 0 } = gridRange;
+    const endRowIndex = gridRange.endRowIndex - (hasFooter ? 1 : 0);
+    const shift = startColumnIndex - (this.table.range.startColumnIndex || 0);
+    if (!this.hasConditionalFormats) return [];
+    const formats = this._getConditionalFormats();
+    if (formats.length > 0) this._assertConditionalFormatIndexes();
+    return formats.map(({ index, rule }) => ({
+      updateConditionalFormatRule: {
+        index,
+        sheetId: this.sheetId,
+        rule: {
+          ...rule,
+          ranges: rule.ranges.map((range) => ({
+            ...range,
+            startRowIndex: startRowIndex + 1,
+            endRowIndex,
+            startColumnIndex: (range.startColumnIndex || 0) + shift,
+            endColumnIndex: range.endColumnIndex + shift,
+          })),
+        },
+      },
+    }));
+  }
+
+  /**
+   * Copies the table to a spreadsheet from its snapshot.
+   *
+   * @private
+   * @param {string} targetSpreadsheetId
+   * @param {string} a1Notation
+   * @param {Object} options Options of copyToSpreadsheet, and "releasedName" which is the name freed in the same batch.
+   * @return {Table}
+   */
+  _copyToSpreadsheet(targetSpreadsheetId, a1Notation, options) {
+    if (!a1Notation || typeof a1Notation !== "string")
+      throw new ValidationError("Invalid A1 Notation.");
+    const {
+      name = this.table.name,
+      includeData = true,
+      releasedName,
+      ...rest
+    } = options;
+    const target =
+      targetSpreadsheetId === this.spreadsheetId
+        ? this.app
+        : new TableApp(targetSpreadsheetId, {
+            transport: this.app.transport,
+            retry: this.app.retry,
+          });
+    const names = Object.keys(fetchAllTables_(target).tablesByTableNames);
+    let newName = name;
+    for (let n = 1; names.includes(newName) && newName !== releasedName; n++)
+      newName = `${name}_${n}`;
+
+    const snapshot = this.snapshot();
+    if (!includeData) {
+      const { startRowIndex = 0, endRowIndex } = snapshot.table.range;
+      const footer = this._hasFooter()
+        ? [snapshot.rowData[endRowIndex - startRowIndex - 1] || {}]
+        : [];
+      snapshot.rowData = [snapshot.rowData[0] || {}, {}, ...footer];
+      snapshot.table.range.endRowIndex = startRowIndex + 2 + footer.length;
+    }
+    return target.restore(snapshot, {
+      ...rest,
+      anchor: a1Notation,
+      name: newName,
+    });
+  }
+
+  /**
+   * Searches the developer metadata of the table, which TableApp saves with the table ID in the value.
+   *
+   * @private
+   * @param {string} [metadataKey] Metadata key. All metadata of the table are searched if omitted.
+   * @return {Array<{metadataId: number, metadataKey: string, tableId: string, value: any}>}
+   */
+  _getDeveloperMetadata(metadataKey) {
+    const lookup =
+      metadataKey === undefined ? { locationType: "ROW" } : { metadataKey };
+    return searchDeveloperMetadata_(this.app, this.spreadsheetId, [
+      { developerMetadataLookup: lookup },
+    ])
+      .map(parseTableMetadata_)
+      .filter(
+        (metadata) => metadata && metadata.tableId === this.table.tableId
+      );
+  }
+
+  /**
+   * Builds the request saving a value in the developer metadata of the table.
+   * The metadata is created on the header row of the table, because developer metadata is located on
+   * a single row or column. Its value has the table ID, so it is found after the table is renamed or
+   * moved.
+   *
+   * @private
+   * @param {string} metadataKey
+   * @param {any} value JSON-compatible value.
+   * @param {number} [metadataId] ID of the existing metadata to update.
+   * @return {Object} Request for batchUpdate.
+   */
+  _getDeveloperMetadataRequest(metadataKey, value, metadataId) {
+    const metadataValue = JSON.stringify({
+      tableId: this.table.tableId,
+      value,
+    });
+    if (metadataId !== undefined)
+      return {
+        updateDeveloperMetadata: {
+          dataFilters: [{ developerMetadataLookup: { metadataId } }],
+          developerMetadata: { metadataValue },
+          fields: "metadataValue",
+        },
+      };
+    const { startRowIndex = 0 } = this.table.range;
+    return {
+      createDeveloperMetadata: {
+        developerMetadata: {
+          metadataKey,
+          metadataValue,
+          location: {
+            dimensionRange: {
+              sheetId: this.sheetId,
+              dimension: "ROWS",
+              startIndex: startRowIndex,
+              endIndex: startRowIndex + 1,
+            },
+          },
+          visibility: "DOCUMENT",
+        },
+      },
+    };
+  }
+
+  /**
+   * Runs the requests with an updateTable request which sets the range and the column properties.
+   * Calculated columns follow the renamed columns, and those of the removed columns are dropped.
+   * The table references of the renamed columns in the string formulas are renamed, and the formulas
+   * are filled and saved again.
+   *
+   * @private
+   * @param {Array<Object>} requests Requests which change the sheet dimensions.
+   * @param {Object} gridRange New table range.
+   * @param {Array<Object>} columnProperties New column properties.
+   * @param {Object<string, string>} [renames={}] New column names keyed by the old names.
+   * @return {Table} This instance.
+   */
+  _updateColumns(requests, gridRange, columnProperties, renames = {}) {
+    const names = columnProperties.map(({ columnName }) => columnName);
+    const updateColumns = (columns) =>
+      Object.keys(columns).reduce((o, name) => {
+        const newName = renames[name] || name;
+        if (!names.includes(newName)) return o;
+        let formulaOrFn = columns[name];
+        // A function can refer to the old column names, so it is replaced with its formula.
+        if (
+          typeof formulaOrFn === "function" &&
+          Object.keys(renames).length > 0
+        )
+          formulaOrFn = formulaOrFn((columnName, options) =>
+            this._ref(this.table.name, columnName, options)
+          );
+        o[newName] =
+          typeof formulaOrFn === "string"
+            ? Object.keys(renames).reduce(
+                (formula, oldColumn) =>
+                  replaceColumnName_(
+                    formula,
+                    this.table.name,
+                    oldColumn,
+                    renames[oldColumn]
+                  ),
+                formulaOrFn
+              )
+            : formulaOrFn;
+        return o;
+      }, {});
+    const columns = this._getCalculatedColumns();
+    const updated = updateColumns(columns);
+    const changed = Object.keys(columns).filter(
+      (name) => updated[renames[name] || name] !== columns[name]
+    );
+    requests.push({
+      updateTable: {
+        fields: "range,columnProperties",
+        table: {
+          range: gridRange,
+          columnProperties,
+          tableId: this.table.tableId,
+        },
+      },
+    });
+    if (changed.length > 0) {
+      // The formulas are filled by the old column names before the columns are updated.
+      requests.unshift(
+        ...this._getCalculatedColumnRequests(
+          this.table.range,
+          this.table.name,
+          changed.reduce((o, name) => {
+            const formula = updated[renames[name] || name];
+            if (typeof formula === "string") o[name] = formula;
+            return o;
+          }, {})
+        )
+      );
+      requests.push(
+        ...this._getCalculatedColumnsMetadataRequests(updateColumns)
+      );
+    }
+    this._updateTable(requests, () => {
+      // Update local state
+      this._setLocalRange(gridRange);
+      this.table.columnProperties = columnProperties;
+      this.calculatedColumns = updated;
+      return this;
+    });
+    return this;
+  }
+
+  /**
+   * Returns the calculated columns of the table. They are loaded from the developer metadata of the
+   * table at the first call.
+   *
+   * @private
+   * @return {Object<string, string|function>} Formulas or functions keyed by the column names.
+   */
+  _getCalculatedColumns() {
+    if (!this.calculatedColumns) {
+      const [saved] = this._getDeveloperMetadata(
+        CALCULATED_COLUMNS_METADATA_KEY_
+      );
+      this.calculatedColumns = saved ? { ...saved.value } : {};
+    }
+    return this.calculatedColumns;
+  }
+
+  /**
+   * Builds the requests saving the formulas of the calculated columns in the developer metadata of
+   * the table. The metadata is deleted when no formula is left.
+   *
+   * @private
+   * @param {function(Object<string, string>): Object<string, string>} update Receives the saved formulas and returns the new ones.
+   * @return {Array<Object>} Requests for batchUpdate.
+   */
+  _getCalculatedColumnsMetadataRequests(update) {
+    const [saved] = this._getDeveloperMetadata(
+      CALCULATED_COLUMNS_METADATA_KEY_
+    );
+    const value = update(saved ? { ...saved.value } : {});
+    if (Object.keys(value).length > 0)
+      return [
+        this._getDeveloperMetadataRequest(
+          CALCULATED_COLUMNS_METADATA_KEY_,
+          value,
+          saved && saved.metadataId
+        ),
+      ];
+    if (!saved) return [];
+    return [
+      {
+        deleteDeveloperMetadata: {
+          dataFilter: {
+            developerMetadataLookup: { metadataId: saved.metadataId },
+          },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Throws when the table has no ID yet. A table created in a batch gets its ID from the reply of
+   * addTable, so the requests using the ID cannot be queued in the same batch.
+   *
+   * @private
+   * @throws {ValidationError} If the table is created in the batch in progress.
+   */
+  _assertTableId() {
+    if (this.table.tableId === undefined)
+      throw new ValidationError(
+        `Table "${this.table.name}" is created in this batch. Please commit the batch before changing it.`
+      );
+  }
+
+  /**
+   * Helper to execute update requests. While a batch is in progress, the requests are queued.
+   *
+   * @private
+   * @param {Array<Object>} requests The batch update requests.
+   * @param {function(Array<Object>): any} [callback] Updates the local state after the requests are applied.
+   * @return {any} The result of the callback.
+   * @throws {ValidationError} If the table is created in the batch in progress, or the requests change the table range, and the range is already changed by a queued call of the batch.
+   */
+  _updateTable(requests, callback = () => this) {
+    this._assertTableId();
+    const { tableId } = this.table;
+    if (
+      this.app._isBatching() &&
+      changesTableRange_(requests, tableId) &&
+      this.app.batchQueue.some((e) => changesTableRange_(e.requests, tableId))
+    )
+      throw new ValidationError(
+        `The range of table "${this.table.name}" is already changed in this batch. Please commit the batch before changing it again.`
+      );
+    try {
+      return this.app._batchUpdate(requests, callback);
+    } catch (e) {
+      throw prefixError_(e, "Table update failed: ");
+    }
+  }
+}
+
+/**
+ * Class representing a client-side query over the data rows of a Table.
+ * The values are fetched as unformatted values when `get` is called.
+ *
+ * Conditions added with `where` are combined with AND. `orWhere` starts a new
+ * group combined with OR. Passing a function to `where`/`orWhere` creates a
+ * nested group, e.g. `where((q) => q.where("A", "=", 1).orWhere("B", "=", 2))`.
+ *
+ * Supported operators: "=", "!=", ">", ">=", "<", "<=", "in", "not in",
+ * "contains", "between", "is null", "is not null".
+ * Blank cells only match "is null".
+ */
+class TableQuery {
+  /**
+   * @param {Table} table The table to query.
+   */
+  constructor(table) {
+    /** @private */
+    this.table = table;
+    /** @private @type {Array<Array<function(Object): boolean>>} */
+    this.groups = [[]];
+    /** @private @type {Array<string>|null} */
+    this.columns = null;
+    /** @private @type {Array<{column: string, order: string}>} */
+    this.orders = [];
+    /** @private @type {number|null} */
+    this.limitCount = null;
+    /** @private @type {number} */
+    this.offsetCount = 0;
+  }
+
+  /**
+   * Adds a condition combined with AND.
+   *
+   * @param {string|function(TableQuery): void} column Column name, or a function building a nested group.
+   * @param {string} [operator] Comparison operator.
+   * @param {any} [value] Value to compare with. An array for "in", "not in" and "between".
+   * @return {TableQuery} This instance.
+   * @throws {Error} If the column or operator is invalid.
+   */
+  where(column, operator, value) {
+    this.groups[this.groups.length - 1].push(
+      this._createCondition(column, operator, value)
+    );
+    return this;
+  }
+
+  /**
+   * Adds a condition combined with OR.
+   *
+   * @param {string|function(TableQuery): void} column Column name, or a function building a nested group.
+   * @param {string} [operator] Comparison operator.
+   * @param {any} [value] Value to compare with. An array for "in", "not in" and "between".
+   * @return {TableQuery} This instance.
+   * @throws {Error} If the column or operator is invalid.
+   */
+  orWhere(column, operator, value) {
+    const condition = this._createCondition(column, operator, value);
+    const last = this.groups[this.groups.length - 1];
+    if (last.length === 0) last.push(condition);
+    else this.groups.push([condition]);
+    return this;
+  }
+
+  /**
+   * Sets the columns included in the result. All columns are included by default.
+   *
+   * @param {...string} columns Column names.
+   * @return {TableQuery} This instance.
+   * @throws {Error} If a column is not found.
+   */
+  select(...columns) {
+    columns.forEach((column) => this.table._getColumnIndex(column));
+    this.columns = columns;
+    return this;
+  }
+
+  /**
+   * Adds a sort key. Multiple calls sort by multiple columns in the called order.
+   * Blank cells are always placed last.
+   *
+   * @param {string} column Column name.
+   * @param {string} [order="asc"] "asc" or "desc".
+   * @return {TableQuery} This instance.
+   * @throws {Error} If the column or order is invalid.
+   */
+  orderBy(column, order = "asc") {
+    this.table._getColumnIndex(column);
+    order = String(order).toLowerCase();
+    if (!["asc", "desc"].includes(order))
+      throw new ValidationError(
+        `Invalid order "${order}". Use "asc" or "desc".`
+      );
+    this.orders.push({ column, order });
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of records in the result.
+   *
+   * @param {number} count
+   * @return {TableQuery} This instance.
+   * @throws {Error} If count is not a non-negative integer.
+   */
+  limit(count) {
+    if (!Number.isInteger(count) || count < 0)
+      throw new ValidationError(
+        "Invalid limit. Must be a non-negative integer."
+      );
+    this.limitCount = count;
+    return this;
+  }
+
+  /**
+   * Sets the number of matched records to skip.
+   *
+   * @param {number} count
+   * @return {TableQuery} This instance.
+   * @throws {Error} If count is not a non-negative integer.
+   */
+  offset(count) {
+    if (!Number.isInteger(count) || count < 0)
+      throw new ValidationError(
+        "Invalid offset. Must be a non-negative integer."
+      );
+    this.offsetCount = count;
+    return this;
+  }
+
+  /**
+   * Runs the query.
+   *
+   * @return {Array<Object>} Matched records keyed by the column names.
+   */
+  get() {
+    const records = this.table
+      .getRecords({ valueRenderOption: "UNFORMATTED_VALUE" })
+      .filter((record) => this._matches(record));
+
+    if (this.orders.length > 0) {
+      records.sort((a, b) => {
+        for (const { column, order } of this.orders) {
+          const x = a[column];
+          const y = b[column];
+          if (isBlank_(x) || isBlank_(y)) {
+            if (isBlank_(x) && isBlank_(y)) continue;
+            return isBlank_(x) ? 1 : -1;
+          }
+          const c = compareValues_(x, y);
+          if (c !== 0) return order === "desc" ? -c : c;
+        }
+        return 0;
+      });
+    }
+
+    const end =
+      this.limitCount === null ? undefined : this.offsetCount + this.limitCount;
+    const result = records.slice(this.offsetCount, end);
+    if (!this.columns) return result;
+    return result.map((record) =>
+      this.columns.reduce((o, column) => {
+        o[column] = record[column];
+        return o;
+      }, {})
+    );
+  }
+
+  /**
+   * Checks whether a record matches the conditions.
+   *
+   * @private
+   * @param {Object} record
+   * @return {boolean}
+   */
+  _matches(record) {
+    return this.groups.some((group) => group.every((c) => c(record)));
+  }
+
+  /**
+   * Creates a condition function.
+   *
+   * @private
+   * @param {string|function(TableQuery): void} column
+   * @param {string} operator
+   * @param {any} value
+   * @return {function(Object): boolean}
+   * @throws {Error} If the column, operator or value is invalid.
+   */
+  _createCondition(column, operator, value) {
+    if (typeof column === "function") {
+      const nested = new TableQuery(this.table);
+      column(nested);
+      return (record) => nested._matches(record);
+    }
+    this.table._getColumnIndex(column);
+
+    if ([value].flat().some(isDate_)) {
+      // Date cells are compared as serial numbers in the time zone of the spreadsheet.
+      const timeZone = this.table._getTimeZone();
+      const toSerial = (v) => (isDate_(v) ? dateToSerial_(v, timeZone) : v);
+      value = Array.isArray(value) ? value.map(toSerial) : toSerial(value);
+    }
+
+    const op = String(operator).trim().toLowerCase();
+    if (["in", "not in", "between"].includes(op) && !Array.isArray(value))
+      throw new ValidationError(`The value of "${op}" must be an array.`);
+    if (op === "between" && value.length !== 2)
+      throw new ValidationError(`The value of "between" must be [min, max].`);
+
+    const test = {
+      "=": (v) => compareValues_(v, value) === 0,
+      "==": (v) => compareValues_(v, value) === 0,
+      "!=": (v) => compareValues_(v, value) !== 0,
+      "<>": (v) => compareValues_(v, value) !== 0,
+      ">": (v) => compareValues_(v, value) > 0,
+      ">=": (v) => compareValues_(v, value) >= 0,
+      "<": (v) => compareValues_(v, value) < 0,
+      "<=": (v) => compareValues_(v, value) <= 0,
+      in: (v) => value.some((e) => compareValues_(v, e) === 0),
+      "not in": (v) => value.every((e) => compareValues_(v, e) !== 0),
+      contains: (v) => String(v).includes(String(value)),
+      between: (v) =>
+        compareValues_(v, value[0]) >= 0 && compareValues_(v, value[1]) <= 0,
+    }[op];
+
+    if (op === "is null") return (record) => isBlank_(record[column]);
+    if (op === "is not null") return (record) => !isBlank_(record[column]);
+    if (!test) throw new ValidationError(`Unsupported operator "${operator}".`);
+    return (record) => !isBlank_(record[column]) && test(record[column]);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 A1 NOTATION                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parser and formatter of A1 notation and R1C1 notation.
+ * This is declared with "var", so that it can be used from the client script as TableApp.A1.
+ *
+ * GridRange is converted to the notation and back exactly. Omitted indexes of GridRange are the
+ * unbounded sides of the range (e.g. "A:C", "3:10", "A2:C"). Bounded rows from the first column
+ * without the end column are the whole rows, so they are formatted like "3:10".
+ */
+var A1 = Object.freeze({
+  /**
+   * Parses A1 notation (e.g. "'Bob''s Data'!$A$1:C10", "A2:C", "3:10" and "Sheet1") or R1C1 notation (e.g. "R1C1:R10C3").
+   * A notation without "!" is parsed as a sheet name when it is not a range, like the Sheets API.
+   * A name of capital letters and digits (e.g. "ZZZZ1") is parsed as a cell, so a sheet name like
+   * it must be quoted. Other names like "Sheet1" are sheet names.
+   *
+   * @param {string} notation The notation.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.r1c1] Parses as R1C1 notation. When omitted, R1C1 notation is detected by a cell like "R1C1".
+   * @return {{sheetName: string|null, gridRange: Object}} The sheet name and GridRange without sheetId. GridRange is empty for a whole sheet.
+   * @throws {ValidationError} If the notation is malformed, or the column is out of the grid limit.
+   */
+  parse(notation, options = {}) {
+    if (typeof notation !== "string" || notation.trim() === "")
+      throw new ValidationError(
+        `Invalid notation "${notation}". Must be a non-empty string.`
+      );
+    const { sheetName, range } = splitSheetName_(notation);
+    if (range === null) return { sheetName, gridRange: {} };
+    if (
+      sheetName === null &&
+      !options.r1c1 &&
+      /^[A-Z]{4,}\d+$/i.test(range) &&
+      !/^[A-Z]+\d+$/.test(range)
+    )
+      return { sheetName: range, gridRange: {} }; // e.g. "Sheet1"
+    const gridRange = parseRange_(range, options.r1c1);
+    if (gridRange) return { sheetName, gridRange };
+
+    // "Sheet1" or "Data" is a sheet name.
+    if (sheetName === null && !range.includes(":"))
+      return { sheetName: range, gridRange: {} };
+    throw new ValidationError(`Invalid range "${range}" in "${notation}".`);
+  },
+
+  /**
+   * Formats GridRange to A1 notation or R1C1 notation.
+   *
+   * @param {Object} gridRange GridRange. Omitted indexes are the unbounded sides of the range.
+   * @param {Object} [options] Options.
+   * @param {string} [options.sheetName] Sheet name. It is quoted and escaped (e.g. "'Bob''s Data'!A1").
+   * @param {boolean} [options.r1c1=false] Formats as R1C1 notation.
+   * @return {string} The notation.
+   * @throws {ValidationError} If GridRange is invalid or cannot be represented by the notation.
+   */
+  format(gridRange, options = {}) {
+    const { sheetName = "", r1c1 = false } = options;
+    if (!gridRange || typeof gridRange !== "object")
+      throw new ValidationError("GridRange object is missing.");
+    const rows = getDimensionBounds_(gridRange, "Row");
+    let cols = getDimensionBounds_(gridRange, "Column");
+    if (rows && rows.end !== null && cols && cols.end === null) {
+      // Rows from the first column to the end are the whole rows (e.g. "3:10").
+      if (cols.start > 0)
+        throw new ValidationError(
+          "GridRange bounded on the end of rows but not columns cannot be represented unless it starts at the first column."
+        );
+      cols = null;
+    }
+    if (!rows && !cols) {
+      if (!sheetName)
+        throw new ValidationError(
+          "A GridRange without indexes needs the sheet name."
+        );
+      return A1.quoteSheetName(sheetName);
+    }
+    if ((rows ? rows.end === null : true) && (cols ? cols.end === null : true))
+      throw new ValidationError(
+        "GridRange unbounded on the end of both rows and columns cannot be represented."
+      );
+
+    const cell = (row, col) => {
+      const r = row === null ? "" : r1c1 ? `R${row + 1}` : String(row + 1);
+      const c =
+        col === null ? "" : r1c1 ? `C${col + 1}` : A1.indexToColumn(col);
+      return r1c1 ? r + c : c + r;
+    };
+    const start = cell(rows && rows.start, cols && cols.start);
+    const end = cell(rows && rows.end, cols && cols.end);
+    const single =
+      rows && cols && rows.start === rows.end && cols.start === cols.end;
+    const prefix = sheetName ? `${A1.quoteSheetName(sheetName)}!` : "";
+    return prefix + (single ? start : `${start}:${end}`);
+  },
+
+  /**
+   * Converts A1 notation or R1C1 notation to GridRange.
+   *
+   * @param {string} notation The notation. The sheet name in the notation is not used.
+   * @param {number} [sheetId=0] The sheet ID of GridRange.
+   * @param {Object} [options] Options of parse.
+   * @return {Object} GridRange
+   * @throws {ValidationError} If the notation is malformed.
+   */
+  toGridRange(notation, sheetId = 0, options = {}) {
+    if (sheetId === null || isNaN(sheetId))
+      throw new ValidationError("Invalid sheet ID. Must be a number.");
+    return { sheetId, ...A1.parse(notation, options).gridRange };
+  },
+
+  /**
+   * Converts a column letter (e.g. "A", "AB") to the index (0-based).
+   *
+   * @param {string} column
+   * @return {number}
+   * @throws {ValidationError} If the column letter is invalid.
+   */
+  columnToIndex(column) {
+    if (typeof column !== "string" || !/^[A-Z]+$/i.test(column))
+      throw new ValidationError(`Invalid column letter "${column}".`);
+    return (
+      [...column.toUpperCase()].reduce(
+        (c, e) => c * 26 + e.charCodeAt(0) - 64,
+        0
+      ) - 1
+    );
+  },
+
+  /**
+   * Converts a column index (0-based) to the letter.
+   *
+   * @param {number} index
+   * @return {string}
+   * @throws {ValidationError} If the index is not a non-negative integer.
+   */
+  indexToColumn(index) {
+    if (!Number.isInteger(index) || index < 0)
+      throw new ValidationError(
+        `Invalid column index "${index}". Must be a non-negative integer (0-based).`
+      );
+    let letter = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+      letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    return letter;
+  },
+
+  /**
+   * Quotes a sheet name for the notation. Single quotes in the name are escaped as "''".
+   *
+   * @param {string} sheetName
+   * @return {string}
+   */
+  quoteSheetName(sheetName) {
+    return `'${String(sheetName).replace(/'/g, "''")}'`;
+  },
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                   ERRORS                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Base class of the errors thrown by TableApp.
+ * The error class can be checked with "name" (e.g. error.name === "QuotaError"), because
+ * the classes of a library cannot be used by the client script with instanceof.
+ */
+class TableAppError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {any} [options.request] The failing request.
+   * @param {any} [options.cause] The original error (e.g. the error of the API call).
+   * @param {number|null} [options.code] The HTTP status code of the API error.
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    /** @type {any} */
+    this.request = options.request === undefined ? null : options.request;
+    /** @type {any} */
+    this.cause = options.cause === undefined ? null : options.cause;
+    /** @type {number|null} */
+    this.code = options.code === undefined ? null : options.code;
+  }
+}
+
+/**
+ * Thrown when a table is not found.
+ */
+class TableNotFoundError extends TableAppError {}
+
+/**
+ * Thrown when a sheet is not found.
+ */
+class SheetNotFoundError extends TableAppError {}
+
+/**
+ * Thrown when the quota of the Sheets API is exceeded, even after the retries.
+ */
+class QuotaError extends TableAppError {}
+
+/**
+ * Thrown when an argument or a request is invalid.
+ */
+class ValidationError extends TableAppError {}
+
+/**
+ * Thrown when a request conflicts with the current state of the spreadsheet
+ * (e.g. the table name is already used, or tables overlap).
+ */
+class ConflictError extends TableAppError {}
+
+/* -------------------------------------------------------------------------- */
+/*                                 TRANSPORTS                                 */
+/* -------------------------------------------------------------------------- */
+
+/*
+ * A transport is an object with the following methods. Each method returns the
+ * response object of the Sheets API, and throws an Error when the API call fails.
+ * The HTTP status code is given as "code" of the error when it is known, and the errors
+ * with 429 or 5xx are retried by the wrappers of the API calls.
+ *
+ * - get(spreadsheetId, { fields, ranges })
+ * - batchUpdate(spreadsheetId, requests)
+ * - valuesGet(spreadsheetId, range, { valueRenderOption })
+ * - valuesUpdate(spreadsheetId, range, values, { valueInputOption })
+ */
+
+/**
+ * Transport using the Sheets advanced service of Google Apps Script.
+ */
+class AdvancedServiceTransport {
+  /**
+   * Gets the spreadsheet.
+   *
+   * @param {string} spreadsheetId
+   * @param {{fields?: string, ranges?: Array<string>}} [options]
+   * @return {Object} Spreadsheet
+   */
+  get(spreadsheetId, { fields = "*", ranges = [] } = {}) {
+    return Sheets.Spreadsheets.get(spreadsheetId, { fields, ranges });
+  }
+
+  /**
+   * Applies requests to the spreadsheet.
+   *
+   * @param {string} spreadsheetId
+   * @param {Array<Object>} requests
+   * @return {Object} BatchUpdateSpreadsheetResponse
+   */
+  batchUpdate(spreadsheetId, requests) {
+    return Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+  }
+
+  /**
+   * Gets values from a range.
+   *
+   * @param {string} spreadsheetId
+   * @param {string} range A1 notation.
+   * @param {{valueRenderOption?: string}} [options]
+   * @return {Object} ValueRange
+   */
+  valuesGet(spreadsheetId, range, options = {}) {
+    return Sheets.Spreadsheets.Values.get(spreadsheetId, range, options);
+  }
+
+  /**
+   * Puts values to a range.
+   *
+   * @param {string} spreadsheetId
+   * @param {string} range A1 notation.
+   * @param {Array<Array<any>>} values
+   * @param {{valueInputOption?: string}} [options]
+   * @return {Object} UpdateValuesResponse
+   */
+  valuesUpdate(spreadsheetId, range, values, options = {}) {
+    return Sheets.Spreadsheets.Values.update(
+      { values },
+      spreadsheetId,
+      range,
+      options
+    );
+  }
+
+  /**
+   * Searches developer metadata.
+   *
+   * @param {string} spreadsheetId
+   * @param {Array<Object>} dataFilters DataFilters.
+   * @return {Object} SearchDeveloperMetadataResponse
+   */
+  searchDeveloperMetadata(spreadsheetId, dataFilters) {
+    return Sheets.Spreadsheets.DeveloperMetadata.search(
+      { dataFilters },
+      spreadsheetId
+    );
+  }
+}
+
+/**
+ * Transport calling the Sheets API v4 with UrlFetchApp.
+ * This can be used without enabling the Sheets advanced service.
+ */
+class RestTransport {
+  /**
+   * @param {Object} [options] Options.
+   * @param {function(): string} [options.getAccessToken] Returns the access token. ScriptApp.getOAuthToken is used by default.
+   */
+  constructor(options = {}) {
+    /** @private */
+    this.getAccessToken =
+      options.getAccessToken || (() => ScriptApp.getOAuthToken());
+    /** @private */
+    this.baseUrl = "https://sheets.googleapis.com/v4/spreadsheets";
+  }
+
+  /**
+   * @see AdvancedServiceTransport#get
+   */
+  get(spreadsheetId, { fields = "*", ranges = [] } = {}) {
+    const query = [
+      `fields=${encodeURIComponent(fields)}`,
+      ...ranges.map((r) => `ranges=${encodeURIComponent(r)}`),
+    ].join("&");
+    return this._fetch(`${this.baseUrl}/${spreadsheetId}?${query}`, "get");
+  }
+
+  /**
+   * @see AdvancedServiceTransport#batchUpdate
+   */
+  batchUpdate(spreadsheetId, requests) {
+    return this._fetch(`${this.baseUrl}/${spreadsheetId}:batchUpdate`, "post", {
+      requests,
+    });
+  }
+
+  /**
+   * @see AdvancedServiceTransport#valuesGet
+   */
+  valuesGet(spreadsheetId, range, { valueRenderOption } = {}) {
+    const url = `${this.baseUrl}/${spreadsheetId}/values/${encodeURIComponent(
+      range
+    )}`;
+    const query = valueRenderOption
+      ? `?valueRenderOption=${valueRenderOption}`
+      : "";
+    return this._fetch(url + query, "get");
+  }
+
+  /**
+   * @see AdvancedServiceTransport#valuesUpdate
+   */
+  valuesUpdate(spreadsheetId, range, values, { valueInputOption } = {}) {
+    const url = `${this.baseUrl}/${spreadsheetId}/values/${encodeURIComponent(
+      range
+    )}?valueInputOption=${valueInputOption || "USER_ENTERED"}`;
+    return this._fetch(url, "put", { values });
+  }
+
+  /**
+   * @see AdvancedServiceTransport#searchDeveloperMetadata
+   */
+  searchDeveloperMetadata(spreadsheetId, dataFilters) {
+    return this._fetch(
+      `${this.baseUrl}/${spreadsheetId}/developerMetadata:search`,
+      "post",
+      { dataFilters }
+    );
+  }
+
+  /**
+   * Requests the API and parses the response.
+   *
+   * @private
+   * @param {string} url
+   * @param {string} method
+   * @param {Object} [payload]
+   * @return {Object} API response
+   * @throws {Error} If the status code is not 200.
+   */
+  _fetch(url, method, payload) {
+    const params = {
+      method,
+      headers: { authorization: "Bearer " + this.getAccessToken() },
+      muteHttpExceptions: true,
+    };
+    if (payload) {
+      params.contentType = "application/json";
+      params.payload = JSON.stringify(payload);
+    }
+    const res = UrlFetchApp.fetch(url, params);
+    const code = res.getResponseCode();
+    const text = res.getContentText();
+    if (code !== 200) {
+      let message = text;
+      try {
+        message = JSON.parse(text).error.message;
+      } catch (e) {
+        // Use the raw text.
+      }
+      throw createApiError_(
+        `API call failed with status ${code}: ${message}`,
+        code
+      );
+    }
+    return JSON.parse(text);
+  }
+}
+
+/**
+ * In-memory emulator of the subset of the Sheets API used by this library.
+ * It can be used to run scripts without Google Apps Script (e.g. tests on Node.js).
+ *
+ * Supported requests of batchUpdate: addSheet, addTable, updateTable, deleteTable, copyPaste,
+ * cutPaste, updateCells, insertDimension, appendDimension, deleteDimension, moveDimension,
+ * insertRange, deleteRange, sortRange,
+ * addFilterView, updateFilterView, deleteFilterView, repeatCell, addConditionalFormatRule,
+ * updateConditionalFormatRule, deleteConditionalFormatRule, createDeveloperMetadata,
+ * updateDeveloperMetadata and deleteDeveloperMetadata.
+ * Formulas are stored but not evaluated, and the field masks of get are ignored.
+ */
+class MemoryTransport {
+  constructor() {
+    /** @private @type {Object<string, Object>} */
+    this.spreadsheets = {};
+    /** @private @type {number} */
+    this.lastId = 0;
+  }
+
+  /**
+   * Adds a spreadsheet.
+   *
+   * @param {Object} [obj] Spreadsheet.
+   * @param {string} [obj.spreadsheetId] Spreadsheet ID. It is generated if omitted.
+   * @param {Object} [obj.properties] SpreadsheetProperties (e.g. title, timeZone).
+   * @param {Array<{title: string, rowCount?: number, columnCount?: number, values?: Array<Array<any>>}>} [obj.sheets] Sheets. "values" are written from A1 as user-entered values.
+   * @return {string} The spreadsheet ID.
+   */
+  addSpreadsheet(obj = {}) {
+    const spreadsheetId = obj.spreadsheetId || `memory-${++this.lastId}`;
+    const spreadsheet = {
+      spreadsheetId,
+      properties: {
+        title: "Untitled spreadsheet",
+        locale: "en_US",
+        timeZone: "Etc/GMT",
+        ...obj.properties,
+      },
+      sheets: [],
+      developerMetadata: [],
+    };
+    (obj.sheets || [{ title: "Sheet1" }]).forEach((s, index) => {
+      const sheet = {
+        properties: {
+          sheetId: index === 0 ? 0 : ++this.lastId,
+          title: s.title,
+          index,
+          gridProperties: {
+            rowCount: s.rowCount || 1000,
+            columnCount: s.columnCount || 26,
+          },
+        },
+        tables: [],
+        filterViews: [],
+        conditionalFormats: [],
+        cells: [],
+      };
+      spreadsheet.sheets.push(sheet);
+      (s.values || []).forEach((row, r) =>
+        row.forEach((v, c) => {
+          this._setCell(sheet, r, c, parseUserEnteredValue_(v));
+        })
+      );
+    });
+    this.spreadsheets[spreadsheetId] = spreadsheet;
+    return spreadsheetId;
+  }
+
+  /**
+   * @see AdvancedServiceTransport#get
+   */
+  get(spreadsheetId, { ranges = [] } = {}) {
+    const spreadsheet = this._getSpreadsheet(spreadsheetId);
+    const resolved = ranges.map((r) => this._resolveRange(spreadsheet, r));
+    const sheets = spreadsheet.sheets
+      .filter(
+        (sheet) =>
+          resolved.length === 0 || resolved.some((e) => e.sheet === sheet)
+      )
+      .map((sheet) => {
+        const obj = { properties: sheet.properties };
+        if (sheet.tables.length > 0) obj.tables = sheet.tables;
+        if (sheet.filterViews.length > 0) obj.filterViews = sheet.filterViews;
+        if (sheet.conditionalFormats.length > 0)
+          obj.conditionalFormats = sheet.conditionalFormats;
+        const data = resolved
+          .filter((e) => e.sheet === sheet)
+          .map(({ gridRange }) => ({
+            startRow: gridRange.startRowIndex,
+            startColumn: gridRange.startColumnIndex,
+            rowData: this._getRows(sheet, gridRange).map((row) => ({
+              values: row.map((cell) => toCellDataResponse_(cell)),
+            })),
+          }));
+        if (data.length > 0) obj.data = data;
+        return obj;
+      });
+    return copyObject_({
+      spreadsheetId,
+      properties: spreadsheet.properties,
+      sheets,
+    });
+  }
+
+  /**
+   * @see AdvancedServiceTransport#batchUpdate
+   */
+  batchUpdate(spreadsheetId, requests) {
+    const original = this._getSpreadsheet(spreadsheetId);
+    // Requests are applied to a copy, so that a failed batch changes nothing.
+    const spreadsheet = copyObject_(original);
+    const replies = requests.map((request, i) => {
+      const [type] = Object.keys(request);
+      const handler = this[`_${type}`];
+      if (!handler)
+        throw createApiError_(
+          `Invalid requests[${i}]: Unsupported request "${type}" in MemoryTransport.`,
+          400
+        );
+      try {
+        return handler.call(this, spreadsheet, request[type]) || {};
+      } catch (e) {
+        throw createApiError_(
+          `Invalid requests[${i}].${type}: ${e.message}`,
+          400
+        );
+      }
+    });
+    this.spreadsheets[spreadsheetId] = spreadsheet;
+    return copyObject_({ spreadsheetId, replies });
+  }
+
+  /**
+   * @see AdvancedServiceTransport#valuesGet
+   */
+  valuesGet(spreadsheetId, range, { valueRenderOption } = {}) {
+    const spreadsheet = this._getSpreadsheet(spreadsheetId);
+    const { sheet, gridRange } = this._resolveValueRange(spreadsheet, range);
+    const values = this._getRows(sheet, gridRange).map((row) =>
+      trimEnd_(row.map((cell) => renderCellValue_(cell, valueRenderOption)))
+    );
+    const res = {
+      range: A1.format(gridRange, { sheetName: sheet.properties.title }),
+      majorDimension: "ROWS",
+    };
+    const trimmed = trimEnd_(values, (row) => row.length === 0);
+    if (trimmed.length > 0) res.values = trimmed;
+    return copyObject_(res);
+  }
+
+  /**
+   * @see AdvancedServiceTransport#valuesUpdate
+   */
+  valuesUpdate(spreadsheetId, range, values, { valueInputOption } = {}) {
+    const spreadsheet = this._getSpreadsheet(spreadsheetId);
+    const { sheet, gridRange } = this._resolveValueRange(spreadsheet, range);
+    const height = gridRange.endRowIndex - gridRange.startRowIndex;
+    const width = gridRange.endColumnIndex - gridRange.startColumnIndex;
+    if (values.length > height || values.some((row) => row.length > width)) {
+      throw createApiError_(
+        `Requested writing beyond the range ${range}. Values: ${values.length} rows.`,
+        400
+      );
+    }
+    values.forEach((row, r) =>
+      row.forEach((v, c) => {
+        if (v === null || v === undefined) return;
+        const cell =
+          valueInputOption === "RAW"
+            ? { userEnteredValue: toRawValue_(v) }
+            : parseUserEnteredValue_(v);
+        const paths = cell.userEnteredFormat
+          ? ["userEnteredValue", "userEnteredFormat.numberFormat"]
+          : ["userEnteredValue"];
+        this._updateCell(
+          sheet,
+          gridRange.startRowIndex + r,
+          gridRange.startColumnIndex + c,
+          cell,
+          paths
+        );
+      })
+    );
+    const updated = {
+      ...gridRange,
+      endRowIndex: gridRange.startRowIndex + values.length,
+      endColumnIndex:
+        gridRange.startColumnIndex + Math.max(...values.map((r) => r.length)),
+    };
+    return {
+      spreadsheetId,
+      updatedRange: A1.format(updated, { sheetName: sheet.properties.title }),
+      updatedRows: values.length,
+    };
+  }
+
+  /**
+   * @see AdvancedServiceTransport#searchDeveloperMetadata
+   */
+  searchDeveloperMetadata(spreadsheetId, dataFilters) {
+    const spreadsheet = this._getSpreadsheet(spreadsheetId);
+    const matched = this._findDeveloperMetadata(spreadsheet, dataFilters);
+    if (matched.length === 0) return {};
+    return copyObject_({
+      matchedDeveloperMetadata: matched.map((developerMetadata) => ({
+        developerMetadata,
+        dataFilters,
+      })),
+    });
+  }
+
+  /* ------------------------------ requests ------------------------------ */
+
+  /**
+   * Emulates AddSheetRequest.
+   *
+   * @private
+   */
+  _addSheet(spreadsheet, { properties = {} }) {
+    const { sheets } = spreadsheet;
+    const title = properties.title || `Sheet${sheets.length + 1}`;
+    if (sheets.some((s) => s.properties.title === title))
+      throw new Error(`A sheet with the name "${title}" already exists.`);
+    const sheetId =
+      properties.sheetId === undefined ? ++this.lastId : properties.sheetId;
+    if (sheets.some((s) => s.properties.sheetId === sheetId))
+      throw new Error(`A sheet with the id "${sheetId}" already exists.`);
+    const sheet = {
+      properties: {
+        ...copyObject_(properties),
+        sheetId,
+        title,
+        index: sheets.length,
+        gridProperties: {
+          rowCount: 1000,
+          columnCount: 26,
+          ...(properties.gridProperties || {}),
+        },
+      },
+      tables: [],
+      filterViews: [],
+      conditionalFormats: [],
+      cells: [],
+    };
+    sheets.push(sheet);
+    return { addSheet: { properties: copyObject_(sheet.properties) } };
+  }
+
+  /**
+   * Emulates AddTableRequest.
+   * Column names are taken from columnProperties, or from the header row when omitted.
+   *
+   * @private
+   */
+  _addTable(spreadsheet, { table }) {
+    if (!table || !table.range) throw new Error("Table range is required.");
+    const sheet = this._getSheetById(spreadsheet, table.range.sheetId);
+    const range = this._completeRange(sheet, table.range);
+    this._assertTableName(spreadsheet, table.name);
+    sheet.tables.forEach((t) => {
+      if (rangesOverlap_(t.range, range))
+        throw new Error(`Range overlaps with the table "${t.name}".`);
+    });
+
+    const newTable = copyObject_({
+      ...table,
+      tableId: String(1000000000 + ++this.lastId),
+      name: table.name || `Table${this.lastId}`,
+      range,
+    });
+    newTable.columnProperties = this._buildColumnProperties(
+      sheet,
+      range,
+      table.columnProperties || []
+    );
+    this._writeHeader(sheet, newTable);
+    sheet.tables.push(newTable);
+    return { addTable: { table: newTable } };
+  }
+
+  /**
+   * Emulates UpdateTableRequest with the field mask.
+   *
+   * @private
+   */
+  _updateTable(spreadsheet, { table, fields }) {
+    const { sheet, table: target } = this._findTable(
+      spreadsheet,
+      table.tableId
+    );
+    if (!fields) throw new Error("fields is required.");
+    const paths =
+      fields === "*"
+        ? Object.keys(table).filter((k) => k !== "tableId")
+        : fields.split(",").map((f) => f.trim());
+
+    paths.forEach((path) => {
+      if (path === "name" || path.startsWith("name."))
+        this._assertTableName(spreadsheet, table.name, target.tableId);
+      copyField_(table, target, path);
+    });
+    if (paths.some((p) => p.startsWith("range"))) {
+      target.range = this._completeRange(sheet, target.range);
+      target.columnProperties = this._buildColumnProperties(
+        sheet,
+        target.range,
+        target.columnProperties || []
+      );
+    }
+    if (paths.some((p) => p.startsWith("columnProperties"))) {
+      target.columnProperties = this._buildColumnProperties(
+        sheet,
+        target.range,
+        target.columnProperties || []
+      );
+      this._writeHeader(sheet, target);
+    }
+  }
+
+  /**
+   * Emulates DeleteTableRequest.
+   *
+   * @private
+   */
+  _deleteTable(spreadsheet, { tableId }) {
+    const { sheet, table } = this._findTable(spreadsheet, tableId);
+    sheet.tables.splice(sheet.tables.indexOf(table), 1);
+  }
+
+  /**
+   * Emulates UpdateCellsRequest with the field mask.
+   *
+   * @private
+   */
+  _updateCells(spreadsheet, { rows = [], fields, start, range }) {
+    if (!fields) throw new Error("fields is required.");
+    const sheet = this._getSheetById(
+      spreadsheet,
+      (start || range || {}).sheetId
+    );
+    const paths = fields.split(",").map((f) => f.trim());
+    if (range) {
+      const r = this._completeRange(sheet, range);
+      for (let i = r.startRowIndex; i < r.endRowIndex; i++) {
+        for (let j = r.startColumnIndex; j < r.endColumnIndex; j++) {
+          const row = rows[i - r.startRowIndex];
+          const cell =
+            (row && row.values && row.values[j - r.startColumnIndex]) || {};
+          this._updateCell(sheet, i, j, cell, paths);
+        }
+      }
+      return;
+    }
+    const { rowIndex = 0, columnIndex = 0 } = start || {};
+    rows.forEach((row, i) =>
+      (row.values || []).forEach((cell, j) =>
+        this._updateCell(sheet, rowIndex + i, columnIndex + j, cell, paths)
+      )
+    );
+  }
+
+  /**
+   * Emulates CutPasteRequest. The source cells are cleared, and the cells are pasted at the
+   * destination. Tables are not moved.
+   *
+   * @private
+   */
+  _cutPaste(spreadsheet, { source, destination, pasteType = "PASTE_NORMAL" }) {
+    if (pasteType !== "PASTE_NORMAL")
+      throw new Error(`Unsupported pasteType "${pasteType}".`);
+    const srcSheet = this._getSheetById(spreadsheet, source.sheetId);
+    const dstSheet = this._getSheetById(spreadsheet, destination.sheetId);
+    const src = this._completeRange(srcSheet, source);
+    const rows = copyObject_(this._getRows(srcSheet, src));
+    const { rowIndex = 0, columnIndex = 0 } = destination;
+    this._ensureGridSize(
+      dstSheet,
+      rowIndex + rows.length,
+      columnIndex + (src.endColumnIndex - src.startColumnIndex)
+    );
+    for (let i = src.startRowIndex; i < src.endRowIndex; i++) {
+      for (let j = src.startColumnIndex; j < src.endColumnIndex; j++)
+        this._updateCell(srcSheet, i, j, {}, ["*"]);
+    }
+    rows.forEach((row, i) =>
+      row.forEach((cell, j) =>
+        this._updateCell(dstSheet, rowIndex + i, columnIndex + j, cell, ["*"])
+      )
+    );
+  }
+
+  /**
+   * Emulates CopyPasteRequest.
+   * Tables fully contained in the source range are copied with the suffix "_n".
+   *
+   * @private
+   */
+  _copyPaste(spreadsheet, { source, destination, pasteType = "PASTE_NORMAL" }) {
+    const srcSheet = this._getSheetById(spreadsheet, source.sheetId);
+    const dstSheet = this._getSheetById(spreadsheet, destination.sheetId);
+    const src = this._completeRange(srcSheet, source);
+    const dst = this._completeRange(dstSheet, destination);
+    const rows = copyObject_(this._getRows(srcSheet, src));
+    const rowOffset = dst.startRowIndex - src.startRowIndex;
+    const columnOffset = dst.startColumnIndex - src.startColumnIndex;
+    const paths = {
+      PASTE_NORMAL: ["*"],
+      PASTE_VALUES: ["userEnteredValue"],
+      PASTE_FORMAT: ["userEnteredFormat"],
+      PASTE_NO_BORDERS: ["*"],
+      PASTE_FORMULA: ["userEnteredValue"],
+      PASTE_DATA_VALIDATION: ["dataValidation"],
+    }[pasteType];
+    if (!paths) throw new Error(`Unsupported pasteType "${pasteType}".`);
+
+    this._ensureGridSize(
+      dstSheet,
+      dst.startRowIndex + rows.length,
+      dst.startColumnIndex + (src.endColumnIndex - src.startColumnIndex)
+    );
+    rows.forEach((row, i) =>
+      row.forEach((cell, j) =>
+        this._updateCell(
+          dstSheet,
+          dst.startRowIndex + i,
+          dst.startColumnIndex + j,
+          cell,
+          paths
+        )
+      )
+    );
+
+    // Tables inside the source range are copied with a new ID and name.
+    if (pasteType !== "PASTE_NORMAL") return;
+    srcSheet.tables
+      .filter((t) => rangeContains_(src, t.range))
+      .forEach((t) => {
+        const range = {
+          sheetId: dstSheet.properties.sheetId,
+          startRowIndex: t.range.startRowIndex + rowOffset,
+          endRowIndex: t.range.endRowIndex + rowOffset,
+          startColumnIndex: t.range.startColumnIndex + columnOffset,
+          endColumnIndex: t.range.endColumnIndex + columnOffset,
+        };
+        let n = 1;
+        while (this._hasTableName(spreadsheet, `${t.name}_${n}`)) n++;
+        const { tableId, ...rest } = t;
+        this._addTable(spreadsheet, {
+          table: { ...copyObject_(rest), name: `${t.name}_${n}`, range },
+        });
+      });
+  }
+
+  /**
+   * Emulates InsertDimensionRequest. Tables below or right of the inserted range are shifted, and tables including it are expanded.
+   *
+   * @private
+   */
+  _insertDimension(spreadsheet, { range }) {
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const { dimension, startIndex, endIndex } = range;
+    const count = endIndex - startIndex;
+    const grid = sheet.properties.gridProperties;
+    if (dimension === "ROWS") {
+      if (startIndex > grid.rowCount) throw new Error("Index out of range.");
+      if (sheet.cells.length > startIndex)
+        sheet.cells.splice(startIndex, 0, ...Array(count).fill(undefined));
+      grid.rowCount += count;
+    } else {
+      if (startIndex > grid.columnCount) throw new Error("Index out of range.");
+      sheet.cells.forEach((row) => {
+        if (row && row.length > startIndex)
+          row.splice(startIndex, 0, ...Array(count).fill(undefined));
+      });
+      grid.columnCount += count;
+    }
+    const [start, end] = dimensionKeys_(dimension);
+    sheet.tables.forEach((t) => {
+      if (startIndex <= t.range[start]) {
+        t.range[start] += count;
+        t.range[end] += count;
+      } else if (startIndex < t.range[end]) {
+        t.range[end] += count;
+        if (dimension === "COLUMNS") {
+          t.columnProperties = this._buildColumnProperties(
+            sheet,
+            t.range,
+            shiftColumnProperties_(
+              t.columnProperties,
+              startIndex - t.range.startColumnIndex,
+              count
+            )
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Emulates AppendDimensionRequest.
+   *
+   * @private
+   */
+  _appendDimension(spreadsheet, { sheetId, dimension, length }) {
+    const grid = this._getSheetById(spreadsheet, sheetId).properties
+      .gridProperties;
+    if (dimension === "ROWS") grid.rowCount += length;
+    else grid.columnCount += length;
+  }
+
+  /**
+   * Emulates DeleteDimensionRequest. Tables are shifted or shrunk, and removed when all of their rows or columns are deleted.
+   *
+   * @private
+   */
+  _deleteDimension(spreadsheet, { range }) {
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const { dimension, startIndex, endIndex } = range;
+    const count = endIndex - startIndex;
+    const grid = sheet.properties.gridProperties;
+    if (dimension === "ROWS") {
+      if (endIndex > grid.rowCount) throw new Error("Index out of range.");
+      sheet.cells.splice(startIndex, count);
+      grid.rowCount -= count;
+    } else {
+      if (endIndex > grid.columnCount) throw new Error("Index out of range.");
+      sheet.cells.forEach((row) => row && row.splice(startIndex, count));
+      grid.columnCount -= count;
+    }
+    const [start, end] = dimensionKeys_(dimension);
+    const shift = (i) => i - Math.max(0, Math.min(i, endIndex) - startIndex);
+    sheet.tables = sheet.tables.filter((t) => {
+      const newStart = shift(t.range[start]);
+      const newEnd = shift(t.range[end]);
+      if (newEnd <= newStart) return false;
+      if (dimension === "COLUMNS") {
+        const from = Math.max(startIndex, t.range.startColumnIndex);
+        const to = Math.min(endIndex, t.range.endColumnIndex);
+        if (from < to) {
+          t.columnProperties = shiftColumnProperties_(
+            t.columnProperties.filter(({ columnIndex = 0 }) => {
+              const index = t.range.startColumnIndex + columnIndex;
+              return index < from || index >= to;
+            }),
+            to - t.range.startColumnIndex,
+            -(to - from)
+          );
+        }
+      }
+      t.range[start] = newStart;
+      t.range[end] = newEnd;
+      return true;
+    });
+  }
+
+  /**
+   * Emulates MoveDimensionRequest.
+   * Column properties of a table are reordered when the columns are moved inside it.
+   *
+   * @private
+   */
+  _moveDimension(spreadsheet, { source, destinationIndex }) {
+    const sheet = this._getSheetById(spreadsheet, source.sheetId);
+    const { dimension, startIndex, endIndex } = source;
+    const count = endIndex - startIndex;
+    const grid = sheet.properties.gridProperties;
+    const size = dimension === "ROWS" ? grid.rowCount : grid.columnCount;
+    if (endIndex > size || destinationIndex > size)
+      throw new Error("Index out of range.");
+    if (destinationIndex > startIndex && destinationIndex < endIndex)
+      throw new Error("destinationIndex must not be inside the source.");
+
+    const insertAt =
+      destinationIndex > startIndex
+        ? destinationIndex - count
+        : destinationIndex;
+    const move = (items) => {
+      while (items.length < Math.max(endIndex, destinationIndex))
+        items.push(undefined);
+      items.splice(insertAt, 0, ...items.splice(startIndex, count));
+    };
+    if (dimension === "ROWS") move(sheet.cells);
+    else sheet.cells.forEach((row) => row && move(row));
+
+    if (dimension !== "COLUMNS") return;
+    const moved = (i) => {
+      if (i >= startIndex && i < endIndex) return insertAt + i - startIndex;
+      const j = i >= endIndex ? i - count : i;
+      return j >= insertAt ? j + count : j;
+    };
+    sheet.tables.forEach((t) => {
+      const { startColumnIndex, endColumnIndex } = t.range;
+      if (
+        startIndex < startColumnIndex ||
+        endIndex > endColumnIndex ||
+        destinationIndex < startColumnIndex ||
+        destinationIndex > endColumnIndex
+      )
+        return;
+      t.columnProperties = t.columnProperties
+        .map((prop) => ({
+          ...prop,
+          columnIndex:
+            moved(startColumnIndex + (prop.columnIndex || 0)) -
+            startColumnIndex,
+        }))
+        .sort((a, b) => a.columnIndex - b.columnIndex);
+    });
+  }
+
+  /**
+   * Emulates InsertRangeRequest. Only "COLUMNS" of shiftDimension is supported.
+   * The cells of the rows of the range are shifted to the right. Tables in the rows are shifted or
+   * expanded like InsertDimensionRequest.
+   *
+   * @private
+   */
+  _insertRange(spreadsheet, { range, shiftDimension }) {
+    if (shiftDimension !== "COLUMNS")
+      throw new Error(`Unsupported shiftDimension "${shiftDimension}".`);
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const r = this._completeRange(sheet, range);
+    const count = r.endColumnIndex - r.startColumnIndex;
+    const { columnCount } = sheet.properties.gridProperties;
+    const tables = this._getShiftedTables(sheet, r);
+    for (let i = r.startRowIndex; i < r.endRowIndex; i++) {
+      const row = sheet.cells[i];
+      if (!row || row.length <= r.startColumnIndex) continue;
+      row.splice(r.startColumnIndex, 0, ...Array(count).fill(undefined));
+      if (trimEnd_(row, (cell) => cell === undefined).length > columnCount)
+        throw new Error("Cells are shifted out of the grid.");
+      row.length = Math.min(row.length, columnCount);
+    }
+    tables.forEach((t) => {
+      if (r.startColumnIndex <= t.range.startColumnIndex) {
+        t.range.startColumnIndex += count;
+        t.range.endColumnIndex += count;
+      } else {
+        t.range.endColumnIndex += count;
+        t.columnProperties = this._buildColumnProperties(
+          sheet,
+          t.range,
+          shiftColumnProperties_(
+            t.columnProperties,
+            r.startColumnIndex - t.range.startColumnIndex,
+            count
+          )
+        );
+      }
+    });
+  }
+
+  /**
+   * Emulates DeleteRangeRequest. Only "COLUMNS" of shiftDimension is supported.
+   * The cells of the rows of the range are shifted to the left. Tables in the rows are shifted or
+   * shrunk like DeleteDimensionRequest.
+   *
+   * @private
+   */
+  _deleteRange(spreadsheet, { range, shiftDimension }) {
+    if (shiftDimension !== "COLUMNS")
+      throw new Error(`Unsupported shiftDimension "${shiftDimension}".`);
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const r = this._completeRange(sheet, range);
+    const count = r.endColumnIndex - r.startColumnIndex;
+    const tables = this._getShiftedTables(sheet, r);
+    for (let i = r.startRowIndex; i < r.endRowIndex; i++) {
+      const row = sheet.cells[i];
+      if (row) row.splice(r.startColumnIndex, count);
+    }
+    const shift = (i) =>
+      i - Math.max(0, Math.min(i, r.endColumnIndex) - r.startColumnIndex);
+    sheet.tables = sheet.tables.filter((t) => {
+      if (!tables.includes(t)) return true;
+      const { startColumnIndex, endColumnIndex } = t.range;
+      if (shift(endColumnIndex) <= shift(startColumnIndex)) return false;
+      const from = Math.max(r.startColumnIndex, startColumnIndex);
+      const to = Math.min(r.endColumnIndex, endColumnIndex);
+      if (from < to) {
+        t.columnProperties = shiftColumnProperties_(
+          t.columnProperties.filter(({ columnIndex = 0 }) => {
+            const index = startColumnIndex + columnIndex;
+            return index < from || index >= to;
+          }),
+          to - startColumnIndex,
+          -(to - from)
+        );
+      }
+      t.range.startColumnIndex = shift(startColumnIndex);
+      t.range.endColumnIndex = shift(endColumnIndex);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the tables whose cells are shifted by a range shifting the cells of its rows to the
+   * right or left.
+   *
+   * @private
+   * @throws {Error} If a table is shifted only in a part of its rows.
+   */
+  _getShiftedTables(sheet, range) {
+    return sheet.tables.filter((t) => {
+      if (
+        t.range.endColumnIndex <= range.startColumnIndex ||
+        t.range.endRowIndex <= range.startRowIndex ||
+        t.range.startRowIndex >= range.endRowIndex
+      )
+        return false;
+      if (
+        t.range.startRowIndex < range.startRowIndex ||
+        t.range.endRowIndex > range.endRowIndex
+      )
+        throw new Error(
+          `The range shifts a part of the rows of the table "${t.name}".`
+        );
+      return true;
+    });
+  }
+
+  /**
+   * Emulates SortRangeRequest. Blank cells are placed at the end, and the other values are
+   * ordered as numbers, strings (case-insensitive) and booleans.
+   *
+   * @private
+   */
+  _sortRange(spreadsheet, { range, sortSpecs = [] }) {
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const r = this._completeRange(sheet, range);
+    const rows = this._getRows(sheet, r);
+    const rank = (v) => ["number", "string", "boolean"].indexOf(typeof v);
+    const order = rows
+      .map((_, i) => i)
+      .sort((x, y) => {
+        for (const { dimensionIndex = 0, sortOrder } of sortSpecs) {
+          const j = dimensionIndex - r.startColumnIndex;
+          const a = renderCellValue_(rows[x][j], "UNFORMATTED_VALUE");
+          const b = renderCellValue_(rows[y][j], "UNFORMATTED_VALUE");
+          if (a === "" || b === "") {
+            if ((a === "") !== (b === "")) return a === "" ? 1 : -1;
+            continue;
+          }
+          let c = rank(a) - rank(b);
+          if (c === 0)
+            c =
+              typeof a === "string"
+                ? a.localeCompare(b, undefined, { sensitivity: "base" })
+                : Number(a) - Number(b);
+          if (c !== 0) return sortOrder === "DESCENDING" ? -c : c;
+        }
+        return x - y;
+      });
+    order.forEach((i, k) =>
+      rows[i].forEach((cell, j) =>
+        this._setCell(
+          sheet,
+          r.startRowIndex + k,
+          r.startColumnIndex + j,
+          copyObject_(cell)
+        )
+      )
+    );
+  }
+
+  /**
+   * Emulates RepeatCellRequest. Formulas are repeated as they are.
+   *
+   * @private
+   */
+  _repeatCell(spreadsheet, { range, cell = {}, fields }) {
+    if (!fields) throw new Error("fields is required.");
+    const sheet = this._getSheetById(spreadsheet, range.sheetId);
+    const r = this._completeRange(sheet, range);
+    const paths = fields.split(",").map((f) => f.trim());
+    for (let i = r.startRowIndex; i < r.endRowIndex; i++)
+      for (let j = r.startColumnIndex; j < r.endColumnIndex; j++)
+        this._updateCell(sheet, i, j, cell, paths);
+  }
+
+  /**
+   * Emulates AddConditionalFormatRuleRequest.
+   *
+   * @private
+   */
+  _addConditionalFormatRule(spreadsheet, { rule, index = 0 }) {
+    if (!rule || !Array.isArray(rule.ranges) || rule.ranges.length === 0)
+      throw new Error("rule.ranges is required.");
+    const sheet = this._getSheetById(spreadsheet, rule.ranges[0].sheetId);
+    if (index > sheet.conditionalFormats.length)
+      throw new Error("Index out of range.");
+    sheet.conditionalFormats.splice(index, 0, this._completeRule(sheet, rule));
+  }
+
+  /**
+   * Emulates UpdateConditionalFormatRuleRequest.
+   *
+   * @private
+   */
+  _updateConditionalFormatRule(
+    spreadsheet,
+    { index = 0, sheetId, rule, newIndex }
+  ) {
+    const sheet = this._getSheetById(spreadsheet, sheetId);
+    if (index >= sheet.conditionalFormats.length)
+      throw new Error(`No conditional format rule at index ${index}.`);
+    if (rule) {
+      sheet.conditionalFormats[index] = this._completeRule(sheet, rule);
+    } else if (newIndex !== undefined) {
+      const [moved] = sheet.conditionalFormats.splice(index, 1);
+      sheet.conditionalFormats.splice(newIndex, 0, moved);
+    }
+  }
+
+  /**
+   * Emulates DeleteConditionalFormatRuleRequest.
+   *
+   * @private
+   */
+  _deleteConditionalFormatRule(spreadsheet, { index = 0, sheetId }) {
+    const sheet = this._getSheetById(spreadsheet, sheetId);
+    if (index >= sheet.conditionalFormats.length)
+      throw new Error(`No conditional format rule at index ${index}.`);
+    sheet.conditionalFormats.splice(index, 1);
+  }
+
+  /**
+   * Emulates CreateDeveloperMetadataRequest.
+   * The locations are not shifted when rows or columns are inserted or deleted.
+   *
+   * @private
+   */
+  _createDeveloperMetadata(spreadsheet, { developerMetadata }) {
+    const { metadataKey, location, visibility } = developerMetadata || {};
+    if (!metadataKey) throw new Error("metadataKey is required.");
+    if (!location) throw new Error("location is required.");
+    if (!visibility) throw new Error("visibility is required.");
+    const ids = spreadsheet.developerMetadata.map(
+      ({ metadataId }) => metadataId
+    );
+    let { metadataId } = developerMetadata;
+    if (metadataId === undefined) {
+      do {
+        metadataId = Math.floor(Math.random() * 2147483647);
+      } while (ids.includes(metadataId));
+    } else if (ids.includes(metadataId)) {
+      throw new Error(
+        `Developer metadata with id ${metadataId} already exists.`
+      );
+    }
+    const metadata = {
+      ...copyObject_(developerMetadata),
+      metadataId,
+      location: this._completeLocation(spreadsheet, location),
+    };
+    spreadsheet.developerMetadata.push(metadata);
+    return {
+      createDeveloperMetadata: { developerMetadata: copyObject_(metadata) },
+    };
+  }
+
+  /**
+   * Emulates UpdateDeveloperMetadataRequest.
+   *
+   * @private
+   */
+  _updateDeveloperMetadata(
+    spreadsheet,
+    { dataFilters = [], developerMetadata, fields }
+  ) {
+    if (!fields) throw new Error("fields is required.");
+    const paths = fields.split(",").map((f) => f.trim());
+    const matched = this._findDeveloperMetadata(spreadsheet, dataFilters);
+    matched.forEach((metadata) =>
+      paths.forEach((path) => {
+        copyField_(developerMetadata, metadata, path);
+        if (path.startsWith("location"))
+          metadata.location = this._completeLocation(
+            spreadsheet,
+            metadata.location
+          );
+      })
+    );
+    return {
+      updateDeveloperMetadata: { developerMetadata: copyObject_(matched) },
+    };
+  }
+
+  /**
+   * Emulates DeleteDeveloperMetadataRequest.
+   *
+   * @private
+   */
+  _deleteDeveloperMetadata(spreadsheet, { dataFilter }) {
+    const matched = this._findDeveloperMetadata(spreadsheet, [dataFilter]);
+    spreadsheet.developerMetadata = spreadsheet.developerMetadata.filter(
+      (metadata) => !matched.includes(metadata)
+    );
+    return {
+      deleteDeveloperMetadata: {
+        deletedDeveloperMetadata: copyObject_(matched),
+      },
+    };
+  }
+
+  /**
+   * Emulates AddFilterViewRequest.
+   *
+   * @private
+   */
+  _addFilterView(spreadsheet, { filter }) {
+    if (!filter || !filter.range) throw new Error("filter.range is required.");
+    const sheet = this._getSheetById(spreadsheet, filter.range.sheetId);
+    const ids = new Set(
+      spreadsheet.sheets.flatMap((s) =>
+        s.filterViews.map(({ filterViewId }) => filterViewId)
+      )
+    );
+    let { filterViewId } = filter;
+    if (filterViewId === undefined) {
+      do {
+        filterViewId = Math.floor(Math.random() * 2147483647);
+      } while (ids.has(filterViewId));
+    } else if (ids.has(filterViewId)) {
+      throw new Error(`Filter view with id ${filterViewId} already exists.`);
+    }
+    const view = {
+      ...copyObject_(filter),
+      filterViewId,
+      range: this._completeRange(sheet, filter.range),
+    };
+    sheet.filterViews.push(view);
+    return { addFilterView: { filter: copyObject_(view) } };
+  }
+
+  /**
+   * Emulates UpdateFilterViewRequest.
+   *
+   * @private
+   */
+  _updateFilterView(spreadsheet, { filter, fields }) {
+    if (!fields) throw new Error("fields is required.");
+    const { sheet, view } = this._findFilterView(
+      spreadsheet,
+      filter.filterViewId
+    );
+    fields
+      .split(",")
+      .map((f) => f.trim())
+      .forEach((path) => copyField_(filter, view, path));
+    view.range = this._completeRange(sheet, view.range);
+  }
+
+  /**
+   * Emulates DeleteFilterViewRequest.
+   *
+   * @private
+   */
+  _deleteFilterView(spreadsheet, { filterId }) {
+    const { sheet, view } = this._findFilterView(spreadsheet, filterId);
+    sheet.filterViews = sheet.filterViews.filter((v) => v !== view);
+  }
+
+  /* ------------------------------- helpers ------------------------------ */
+
+  /**
+   * Returns the stored spreadsheet.
+   *
+   * @private
+   */
+  _getSpreadsheet(spreadsheetId) {
+    const spreadsheet = this.spreadsheets[spreadsheetId];
+    if (!spreadsheet)
+      throw createApiError_(
+        `Requested entity was not found: ${spreadsheetId}`,
+        404
+      );
+    return spreadsheet;
+  }
+
+  /**
+   * Returns the sheet by the sheet ID.
+   *
+   * @private
+   */
+  _getSheetById(spreadsheet, sheetId = 0) {
+    const sheet = spreadsheet.sheets.find(
+      (s) => s.properties.sheetId === (sheetId || 0)
+    );
+    if (!sheet) throw new Error(`No grid with id: ${sheetId}`);
+    return sheet;
+  }
+
+  /**
+   * Copies a conditional format rule with the ranges completed.
+   *
+   * @private
+   */
+  _completeRule(sheet, rule) {
+    return {
+      ...copyObject_(rule),
+      ranges: rule.ranges.map((range) => this._completeRange(sheet, range)),
+    };
+  }
+
+  /**
+   * Finds developer metadata matching any of DataFilters.
+   * Only developerMetadataLookup with metadataId, metadataKey, metadataValue, locationType and
+   * visibility is supported.
+   *
+   * @private
+   */
+  _findDeveloperMetadata(spreadsheet, dataFilters) {
+    const lookups = (dataFilters || []).map((filter) => {
+      if (!filter || !filter.developerMetadataLookup)
+        throw new Error(
+          "Only developerMetadataLookup is supported as DataFilter."
+        );
+      return filter.developerMetadataLookup;
+    });
+    const keys = [
+      "metadataId",
+      "metadataKey",
+      "metadataValue",
+      "locationType",
+      "visibility",
+    ];
+    return spreadsheet.developerMetadata.filter((metadata) =>
+      lookups.some((lookup) =>
+        keys.every((key) => {
+          if (lookup[key] === undefined) return true;
+          const value =
+            key === "locationType"
+              ? metadata.location.locationType
+              : metadata[key];
+          return value === lookup[key];
+        })
+      )
+    );
+  }
+
+  /**
+   * Completes DeveloperMetadataLocation with locationType.
+   * A dimensionRange must be a single row or column like the API.
+   *
+   * @private
+   */
+  _completeLocation(spreadsheet, location) {
+    const { dimensionRange, sheetId } = location;
+    if (dimensionRange) {
+      this._getSheetById(spreadsheet, dimensionRange.sheetId);
+      const { startIndex = 0, endIndex } = dimensionRange;
+      if (endIndex - startIndex !== 1)
+        throw new Error(
+          "Developer metadata can only be associated with a single row or column."
+        );
+      return {
+        locationType: dimensionRange.dimension === "ROWS" ? "ROW" : "COLUMN",
+        dimensionRange: { ...dimensionRange },
+      };
+    }
+    if (sheetId !== undefined) {
+      this._getSheetById(spreadsheet, sheetId);
+      return { locationType: "SHEET", sheetId };
+    }
+    if (location.spreadsheet)
+      return { locationType: "SPREADSHEET", spreadsheet: true };
+    throw new Error("Invalid location.");
+  }
+
+  /**
+   * Finds a filter view by its ID.
+   *
+   * @private
+   */
+  _findFilterView(spreadsheet, filterViewId) {
+    for (const sheet of spreadsheet.sheets) {
+      const view = sheet.filterViews.find(
+        (v) => String(v.filterViewId) === String(filterViewId)
+      );
+      if (view) return { sheet, view };
+    }
+    throw new Error(`No filter view with id: ${filterViewId}`);
+  }
+
+  /**
+   * Returns the table and its sheet by the table ID.
+   *
+   * @private
+   */
+  _findTable(spreadsheet, tableId) {
+    for (const sheet of spreadsheet.sheets) {
+      const table = sheet.tables.find((t) => t.tableId === tableId);
+      if (table) return { sheet, table };
+    }
+    throw new Error(`No table with id: ${tableId}`);
+  }
+
+  /**
+   * Checks whether a table with the name exists.
+   *
+   * @private
+   */
+  _hasTableName(spreadsheet, name, exceptTableId = null) {
+    return spreadsheet.sheets.some((sheet) =>
+      sheet.tables.some((t) => t.name === name && t.tableId !== exceptTableId)
+    );
+  }
+
+  /**
+   * Checks that the table name is valid and not used by other tables.
+   *
+   * @private
+   */
+  _assertTableName(spreadsheet, name, exceptTableId = null) {
+    if (name !== undefined && (typeof name !== "string" || name === ""))
+      throw new Error("Invalid table name.");
+    if (name && this._hasTableName(spreadsheet, name, exceptTableId))
+      throw new Error(`A table with the name "${name}" already exists.`);
+  }
+
+  /**
+   * Resolves the range of the values methods. Invalid ranges are the errors of the status code 400.
+   *
+   * @private
+   * @param {Object} spreadsheet
+   * @param {string} a1Notation
+   * @return {{sheet: Object, gridRange: Object}}
+   * @throws {Error} If the range cannot be parsed.
+   */
+  _resolveValueRange(spreadsheet, a1Notation) {
+    try {
+      return this._resolveRange(spreadsheet, a1Notation);
+    } catch (e) {
+      throw createApiError_(e.message, 400);
+    }
+  }
+
+  /**
+   * Resolves A1 notation to the sheet and the GridRange with all indexes.
+   *
+   * @private
+   * @param {Object} spreadsheet
+   * @param {string} a1Notation
+   * @return {{sheet: Object, gridRange: Object}}
+   * @throws {Error} If the range cannot be parsed.
+   */
+  _resolveRange(spreadsheet, a1Notation) {
+    const { sheetName, gridRange } = A1.parse(a1Notation);
+    const sheet = sheetName
+      ? spreadsheet.sheets.find((s) => s.properties.title === sheetName)
+      : spreadsheet.sheets[0];
+    if (!sheet) throw new Error(`Unable to parse range: ${a1Notation}`);
+    return {
+      sheet,
+      gridRange: this._completeRange(sheet, {
+        sheetId: sheet.properties.sheetId,
+        ...gridRange,
+      }),
+    };
+  }
+
+  /**
+   * Fills the omitted indexes of a GridRange and checks the grid limits.
+   *
+   * @private
+   */
+  _completeRange(sheet, gridRange) {
+    const { rowCount, columnCount } = sheet.properties.gridProperties;
+    const range = {
+      sheetId: sheet.properties.sheetId,
+      startRowIndex: gridRange.startRowIndex || 0,
+      endRowIndex:
+        gridRange.endRowIndex === undefined ? rowCount : gridRange.endRowIndex,
+      startColumnIndex: gridRange.startColumnIndex || 0,
+      endColumnIndex:
+        gridRange.endColumnIndex === undefined
+          ? columnCount
+          : gridRange.endColumnIndex,
+    };
+    if (range.endRowIndex > rowCount || range.endColumnIndex > columnCount) {
+      throw new Error(
+        `Range (${A1.format(range, { sheetName: sheet.properties.title })}) exceeds grid limits. Max rows: ${rowCount}, max columns: ${columnCount}`
+      );
+    }
+    return range;
+  }
+
+  /**
+   * Expands the grid to at least the given size.
+   *
+   * @private
+   */
+  _ensureGridSize(sheet, rowCount, columnCount) {
+    const grid = sheet.properties.gridProperties;
+    grid.rowCount = Math.max(grid.rowCount, rowCount);
+    grid.columnCount = Math.max(grid.columnCount, columnCount);
+  }
+
+  /**
+   * Returns the CellData of the range as a 2D array. Empty cells are returned as {}.
+   *
+   * @private
+   */
+  _getRows(sheet, gridRange) {
+    const rows = [];
+    for (let r = gridRange.startRowIndex; r < gridRange.endRowIndex; r++) {
+      const row = [];
+      for (
+        let c = gridRange.startColumnIndex;
+        c < gridRange.endColumnIndex;
+        c++
+      )
+        row.push((sheet.cells[r] && sheet.cells[r][c]) || {});
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Sets CellData to a cell.
+   *
+   * @private
+   */
+  _setCell(sheet, rowIndex, columnIndex, cell) {
+    if (!sheet.cells[rowIndex]) sheet.cells[rowIndex] = [];
+    sheet.cells[rowIndex][columnIndex] = cell;
+  }
+
+  /**
+   * Updates the fields of a cell by the field mask.
+   *
+   * @private
+   */
+  _updateCell(sheet, rowIndex, columnIndex, cell, paths) {
+    const { rowCount, columnCount } = sheet.properties.gridProperties;
+    if (rowIndex >= rowCount || columnIndex >= columnCount)
+      throw new Error("Range exceeds grid limits.");
+    const current =
+      (sheet.cells[rowIndex] && sheet.cells[rowIndex][columnIndex]) || {};
+    if (paths.includes("*")) {
+      const { effectiveValue, formattedValue, ...rest } = cell;
+      this._setCell(sheet, rowIndex, columnIndex, copyObject_(rest));
+    } else {
+      paths.forEach((path) => copyField_(cell, current, path));
+      this._setCell(sheet, rowIndex, columnIndex, current);
+    }
+    this._syncColumnName(sheet, rowIndex, columnIndex);
+  }
+
+  /**
+   * Renames the table column when its header cell is written, like Sheets.
+   * Blank and duplicated names are not applied.
+   *
+   * @private
+   */
+  _syncColumnName(sheet, rowIndex, columnIndex) {
+    const table = sheet.tables.find(
+      ({ range }) =>
+        (range.startRowIndex || 0) === rowIndex &&
+        columnIndex >= (range.startColumnIndex || 0) &&
+        columnIndex < range.endColumnIndex
+    );
+    if (!table) return;
+    const name = renderCellValue_(
+      sheet.cells[rowIndex][columnIndex],
+      "FORMATTED_VALUE"
+    );
+    const prop = (table.columnProperties || []).find(
+      ({ columnIndex: i = 0 }) =>
+        i === columnIndex - (table.range.startColumnIndex || 0)
+    );
+    if (
+      !prop ||
+      !name ||
+      table.columnProperties.some((p) => p !== prop && p.columnName === name)
+    )
+      return;
+    prop.columnName = name;
+  }
+
+  /**
+   * Completes the column properties of a table for each column of the range.
+   * Names of new columns are taken from the header cells.
+   *
+   * @private
+   */
+  _buildColumnProperties(sheet, range, columnProperties) {
+    const width = range.endColumnIndex - range.startColumnIndex;
+    const header = this._getRows(sheet, {
+      ...range,
+      endRowIndex: range.startRowIndex + 1,
+    })[0];
+    const names = new Set();
+    return [...Array(width)].map((_, i) => {
+      const given = columnProperties.find(
+        ({ columnIndex = 0 }) => columnIndex === i
+      );
+      const prop = { ...copyObject_(given || {}), columnIndex: i };
+      let name =
+        prop.columnName || renderCellValue_(header[i], "FORMATTED_VALUE");
+      if (!name || names.has(name)) name = `Column ${i + 1}`;
+      names.add(name);
+      prop.columnName = name;
+      return prop;
+    });
+  }
+
+  /**
+   * Writes the column names to the header row of the table.
+   *
+   * @private
+   */
+  _writeHeader(sheet, table) {
+    table.columnProperties.forEach(({ columnIndex = 0, columnName }) =>
+      this._updateCell(
+        sheet,
+        table.range.startRowIndex,
+        table.range.startColumnIndex + columnIndex,
+        { userEnteredValue: { stringValue: columnName } },
+        ["userEnteredValue"]
+      )
+    );
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               PRIVATE HELPERS                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Wrapper for Spreadsheets.get
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {string} spreadsheetId
+ * @param {string} [fields="*"]
+ * @param {Array<string>} [ranges=[]]
+ * @return {Object} API response
+ * @throws {TableAppError} If the API call fails.
+ */
+function sget_(app, spreadsheetId, fields = "*", ranges = []) {
+  const options = { fields, ranges };
+  return callApi_(app, { spreadsheetId, ...options }, () =>
+    app.transport.get(spreadsheetId, options)
+  );
+}
+
+/**
+ * Wrapper for Spreadsheets.batchUpdate
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} requests
+ * @return {Object} API response
+ * @throws {TableAppError} If the API call fails. The request is the failing one of the requests when the API error tells it.
+ */
+function batchUpdate_(app, spreadsheetId, requests) {
+  return callApi_(
+    app,
+    requests,
+    () => app.transport.batchUpdate(spreadsheetId, requests),
+    app.retry.retryWrites
+  );
+}
+
+/**
+ * Wrapper for Spreadsheets.Values.get
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {string} spreadsheetId
+ * @param {string} range
+ * @param {string} [valueRenderOption="FORMATTED_VALUE"]
+ * @return {Array<Array<any>>} Values
+ * @throws {TableAppError} If the API call fails.
+ */
+function valuesGet_(
+  app,
+  spreadsheetId,
+  range,
+  valueRenderOption = "FORMATTED_VALUE"
+) {
+  const options = { valueRenderOption };
+  const res = callApi_(app, { spreadsheetId, range, ...options }, () =>
+    app.transport.valuesGet(spreadsheetId, range, options)
+  );
+  return res.values;
+}
+
+/**
+ * Wrapper for Spreadsheets.Values.update
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {string} spreadsheetId
+ * @param {Array<Array<any>>} values
+ * @param {string} range
+ * @return {Object} Updated range info
+ * @throws {TableAppError} If the API call fails.
+ */
+function valuesUpdate_(app, spreadsheetId, values, range) {
+  const options = { valueInputOption: "USER_ENTERED" };
+  const res = callApi_(app, { spreadsheetId, range, values, ...options }, () =>
+    app.transport.valuesUpdate(spreadsheetId, range, values, options)
+  );
+  return res.updatedRange;
+}
+
+/**
+ * Wrapper for Spreadsheets.DeveloperMetadata.search
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {string} spreadsheetId
+ * @param {Array<Object>} dataFilters
+ * @return {Array<Object>} DeveloperMetadata found
+ * @throws {TableAppError} If the API call fails.
+ */
+function searchDeveloperMetadata_(app, spreadsheetId, dataFilters) {
+  const res = callApi_(app, { spreadsheetId, dataFilters }, () =>
+    app.transport.searchDeveloperMetadata(spreadsheetId, dataFilters)
+  );
+  return (res.matchedDeveloperMetadata || []).map(
+    ({ developerMetadata }) => developerMetadata
+  );
+}
+
+/**
+ * Default options of the retry of API calls.
+ *
+ * @private
+ */
+const DEFAULT_RETRY_OPTIONS_ = {
+  maxRetries: 5,
+  initialDelay: 1000,
+  maxDelay: 32000,
+  sleep: (ms) => Utilities.sleep(ms),
+  retryWrites: false,
+};
+
+/**
+ * Calls the API with the retry by the exponential backoff with jitter.
+ * Only errors with the status code 429 or 5xx are retried. 5xx is retried only for the idempotent calls,
+ * because the failed call may have been applied.
+ *
+ * @private
+ * @param {TableApp} app
+ * @param {any} request The request, which is given to the thrown error.
+ * @param {function(): Object} call
+ * @param {boolean} [idempotent=true] Whether the call can be repeated safely.
+ * @return {Object} API response
+ * @throws {TableAppError} If the API call fails, or the retries are exhausted.
+ */
+function callApi_(app, request, call, idempotent = true) {
+  const { maxRetries, initialDelay, maxDelay, sleep } = app.retry;
+  for (let retry = 0; ; retry++) {
+    try {
+      return call();
+    } catch (e) {
+      const code = getErrorCode_(e);
+      const retryable =
+        code === 429 || (idempotent && code >= 500 && code < 600);
+      if (!retryable || retry >= maxRetries)
+        throw toTableAppError_(e, request, code);
+      const delay = Math.min(initialDelay * Math.pow(2, retry), maxDelay);
+      sleep(Math.round(delay / 2 + (Math.random() * delay) / 2));
+    }
+  }
+}
+
+/**
+ * Returns the HTTP status code of an error of an API call.
+ * The errors of the Sheets advanced service have no status code in some cases. Then, only the quota
+ * errors are detected by the message, and the other messages give null.
+ *
+ * @private
+ * @param {any} error
+ * @return {number|null}
+ */
+function getErrorCode_(error) {
+  if (!error) return null;
+  if (typeof error.code === "number") return error.code;
+  if (error.details && typeof error.details.code === "number")
+    return error.details.code;
+  const message = String(error.message || error);
+  const status = message.match(/\bstatus (?:code )?(\d{3})\b/i);
+  if (status) return Number(status[1]);
+  if (/quota|rate limit|too many requests/i.test(message)) return 429;
+  return null;
+}
+
+/**
+ * Converts an error of an API call to TableAppError or its subclass.
+ *
+ * @private
+ * @param {any} error The original error.
+ * @param {any} request The request. For the requests of batchUpdate, the failing one is selected by the error message.
+ * @param {number|null} code The HTTP status code.
+ * @return {TableAppError}
+ */
+function toTableAppError_(error, request, code) {
+  if (error instanceof TableAppError) return error;
+  const message = String((error && error.message) || error);
+  const index = message.match(/requests\[(\d+)\]/);
+  if (Array.isArray(request) && index && request[Number(index[1])])
+    request = request[Number(index[1])];
+  const options = { request, cause: error, code };
+
+  if (code === 429) return new QuotaError(message, options);
+  if (code === 409 || /already exists|overlap/i.test(message))
+    return new ConflictError(message, options);
+  if (/\btable\b.*not found|no table with id/i.test(message))
+    return new TableNotFoundError(message, options);
+  if (/\b(sheet|grid)\b.*not found|no grid with id/i.test(message))
+    return new SheetNotFoundError(message, options);
+  if (code === 400) return new ValidationError(message, options);
+  return new TableAppError(message, options);
+}
+
+/**
+ * Adds a prefix to the message of an error, keeping the class of TableAppError.
+ * Other errors are converted to TableAppError.
+ *
+ * @private
+ * @param {any} error
+ * @param {string} prefix
+ * @return {TableAppError}
+ */
+function prefixError_(error, prefix) {
+  if (!(error instanceof TableAppError))
+    return new TableAppError(
+      prefix + String((error && error.message) || error),
+      {
+        cause: error,
+      }
+    );
+  error.message = prefix + error.message;
+  return error;
+}
+
+/**
+ * Converts a value to an ExtendedValue for updateCells requests.
+ * Strings starting with "=" are set as formulas.
+ *
+ * @private
+ * @param {any} value
+ * @param {string|null} [timeZone=null] Time zone used to convert Date objects.
+ * @return {Object} ExtendedValue
+ */
+function toExtendedValue_(value, timeZone = null) {
+  if (value === null || value === undefined || value === "") return {};
+  if (typeof value === "number") return { numberValue: value };
+  if (typeof value === "boolean") return { boolValue: value };
+  if (isDate_(value)) return { numberValue: dateToSerial_(value, timeZone) };
+  const str = String(value);
+  return str.startsWith("=") ? { formulaValue: str } : { stringValue: str };
+}
+
+/**
+ * Converts a 2D array of values to RowData for updateCells requests.
+ *
+ * @private
+ * @param {Array<Array<any>>} values
+ * @param {string|null} [timeZone=null] Time zone used to convert Date objects.
+ * @return {Array<Object>} RowData
+ */
+function toRowData_(values, timeZone = null) {
+  return values.map((row) => ({
+    values: row.map((v) => ({
+      userEnteredValue: toExtendedValue_(v, timeZone),
+    })),
+  }));
+}
+
+/**
+ * Converts an unformatted cell value by the column type.
+ * Blank cells are converted to null, and values which cannot be converted are returned as they are.
+ *
+ * @private
+ * @param {any} value
+ * @param {string} [columnType]
+ * @param {string|null} [timeZone=null] Time zone used to convert serial numbers to Date objects.
+ * @return {any}
+ */
+function toTypedValue_(value, columnType, timeZone = null) {
+  if (isBlank_(value)) return null;
+  switch (columnType) {
+    case "DOUBLE":
+    case "CURRENCY":
+    case "PERCENT":
+      return typeof value === "string" && !isNaN(Number(value))
+        ? Number(value)
+        : value;
+    case "DATE":
+    case "TIME":
+    case "DATE_TIME":
+      return typeof value === "number" ? serialToDate_(value, timeZone) : value;
+    case "BOOLEAN":
+      if (typeof value === "string" && /^(true|false)$/i.test(value))
+        return value.toLowerCase() === "true";
+      return value;
+    case "TEXT":
+    case "DROPDOWN":
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Checks whether a value is a Date object.
+ * The prototype is not compared, because Date objects may come from another script (e.g. the client of this library).
+ *
+ * @private
+ * @param {any} value
+ * @return {boolean}
+ */
+function isDate_(value) {
+  return Object.prototype.toString.call(value) === "[object Date]";
+}
+
+/**
+ * Returns the offset of a time zone from UTC at the given time in milliseconds.
+ *
+ * @private
+ * @param {Date} date
+ * @param {string} timeZone IANA time zone (e.g. "Asia/Tokyo").
+ * @return {number}
+ */
+function getTimeZoneOffset_(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(date)
+    .reduce((o, { type, value }) => {
+      o[type] = Number(value);
+      return o;
+    }, {});
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Converts a spreadsheet serial number (days since 1899-12-30) to a Date object.
+ *
+ * @private
+ * @param {number} serial
+ * @param {string|null} [timeZone=null] Time zone of the serial number. If omitted, the time zone of the script is used.
+ * @return {Date}
+ */
+function serialToDate_(serial, timeZone = null) {
+  const wallClock = Math.round(serial * 86400000) + Date.UTC(1899, 11, 30);
+  if (!timeZone) {
+    const d = new Date(wallClock);
+    return new Date(
+      d.getUTCFullYear(),
+      d.getUTCMonth(),
+      d.getUTCDate(),
+      d.getUTCHours(),
+      d.getUTCMinutes(),
+      d.getUTCSeconds(),
+      d.getUTCMilliseconds()
+    );
+  }
+  // The offset is evaluated twice to handle the transitions of daylight saving time.
+  const guess = wallClock - getTimeZoneOffset_(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset_(new Date(guess), timeZone));
+}
+
+/**
+ * Converts a Date object to a spreadsheet serial number (days since 1899-12-30).
+ *
+ * @private
+ * @param {Date} date
+ * @param {string|null} [timeZone=null] Time zone of the serial number. If omitted, the time zone of the script is used.
+ * @return {number}
+ */
+function dateToSerial_(date, timeZone = null) {
+  if (timeZone) {
+    const wallClock = date.getTime() + getTimeZoneOffset_(date, timeZone);
+    return (wallClock - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+  const utc = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+  return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * Function codes of SUBTOTAL which ignore hidden rows.
+ *
+ * @private
+ * @type {Object<string, number>}
+ */
+const SUBTOTAL_FUNCTIONS_ = {
+  AVERAGE: 101,
+  COUNT: 102,
+  COUNTA: 103,
+  MAX: 104,
+  MIN: 105,
+  PRODUCT: 106,
+  STDEV: 107,
+  STDEVP: 108,
+  SUM: 109,
+  VAR: 110,
+  VARP: 111,
+};
+
+/**
+ * Matches the footer formulas written by setFooter.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const SUBTOTAL_FORMULA_REGEX_ =
+  /^=SUBTOTAL\((\d+),\s*[A-Z]+\d+(?::[A-Z]+\d+)?\)$/i;
+
+/**
+ * Builds the SUBTOTAL formula which aggregates a column of the data rows of a table range.
+ * The data rows are the rows between the header row and the footer row. When the range has no
+ * data rows, an empty string is returned, because the formula would refer to the footer cell itself.
+ *
+ * @private
+ * @param {number} code Function code of SUBTOTAL.
+ * @param {Object} gridRange Table range including the footer row.
+ * @param {number} columnIndex Column index in the table.
+ * @return {string}
+ */
+function toSubtotalFormula_(code, gridRange, columnIndex) {
+  const { startRowIndex = 0, endRowIndex, startColumnIndex = 0 } = gridRange;
+  if (endRowIndex - startRowIndex <= 2) return "";
+  const range = A1.format({
+    startRowIndex: startRowIndex + 1,
+    endRowIndex: endRowIndex - 1,
+    startColumnIndex: startColumnIndex + columnIndex,
+    endColumnIndex: startColumnIndex + columnIndex + 1,
+  });
+  return `=SUBTOTAL(${code},${range})`;
+}
+
+/**
+ * Replaces the table name of the table references (e.g. "Orders[Price]") in a formula.
+ *
+ * @private
+ * @param {string} formula
+ * @param {string} oldName
+ * @param {string} newName
+ * @return {string}
+ */
+function replaceTableName_(formula, oldName, newName) {
+  const escaped = oldName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return formula.replace(
+    new RegExp(`(^|[^\\w.])${escaped}\\[`, "g"),
+    (_, prefix) => `${prefix}${newName}[`
+  );
+}
+
+/**
+ * Replaces the column name of the table references of a table (e.g. "Orders[Price]") in a formula.
+ *
+ * @private
+ * @param {string} formula
+ * @param {string} tableName
+ * @param {string} oldName Old column name.
+ * @param {string} newName New column name.
+ * @return {string}
+ */
+function replaceColumnName_(formula, tableName, oldName, newName) {
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return formula.replace(
+    new RegExp(`(^|[^\\w.])${escape(tableName)}\\[${escape(oldName)}\\]`, "g"),
+    (_, prefix) => `${prefix}${tableName}[${newName}]`
+  );
+}
+
+/**
+ * Builds the custom formula of a filter which shows only the values. The displayed values of the
+ * cell are compared as strings.
+ *
+ * @private
+ * @param {string} cell The first data cell of the column in A1 notation (e.g. "B3").
+ * @param {Array<any>} values
+ * @return {string}
+ */
+function toValuesFormula_(cell, values) {
+  if (values.length === 0) return "=FALSE";
+  const conditions = values.map(
+    (v) => `TO_TEXT(${cell})="${String(v).replace(/"/g, '""')}"`
+  );
+  return `=OR(${conditions.join(",")})`;
+}
+
+/**
+ * Shifts the relative cell references (e.g. "C2", "C$2") of a formula like copying the cell in the
+ * sheet. The absolute parts (e.g. "$C$2") and the string literals are kept, and the references
+ * shifted out of the sheet become "#REF!".
+ *
+ * @private
+ * @param {string} formula
+ * @param {number} rowShift
+ * @param {number} columnShift
+ * @return {string}
+ */
+function shiftFormulaReferences_(formula, rowShift, columnShift) {
+  if (typeof formula !== "string" || (rowShift === 0 && columnShift === 0))
+    return formula;
+  return formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) =>
+      i % 2 === 1
+        ? part
+        : part.replace(
+            /(^|[^\w.$[\]])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![\w(])/g,
+            (_, prefix, columnAbsolute, column, rowAbsolute, row) => {
+              const c =
+                A1.columnToIndex(column) + (columnAbsolute ? 0 : columnShift);
+              const r = Number(row) - 1 + (rowAbsolute ? 0 : rowShift);
+              if (c < 0 || r < 0) return `${prefix}#REF!`;
+              return `${prefix}${columnAbsolute}${A1.indexToColumn(c)}${rowAbsolute}${r + 1}`;
+            }
+          )
+    )
+    .join("");
+}
+
+/**
+ * Version of the snapshots created by Table.snapshot.
+ *
+ * @private
+ * @type {number}
+ */
+const SNAPSHOT_VERSION_ = 1;
+
+/**
+ * Functions upgrading a snapshot of the version of the key to the next version.
+ * When the format of the snapshots is changed, SNAPSHOT_VERSION_ is incremented and the function for the previous version is added here.
+ *
+ * @private
+ * @type {Object<number, function(Object): Object>}
+ */
+const SNAPSHOT_UPGRADES_ = {};
+
+/**
+ * Validates a snapshot and upgrades it to the current version.
+ *
+ * @private
+ * @param {Object} snapshot
+ * @return {Object} The snapshot of the current version.
+ * @throws {ValidationError} If the snapshot is invalid or of a newer version.
+ */
+function upgradeSnapshot_(snapshot) {
+  if (!snapshot || typeof snapshot !== "object")
+    throw new ValidationError("Invalid snapshot. Must be an object.");
+  const { version } = snapshot;
+  if (!Number.isInteger(version) || version < 1)
+    throw new ValidationError(`Invalid snapshot version "${version}".`);
+  if (version > SNAPSHOT_VERSION_)
+    throw new ValidationError(
+      `The snapshot version ${version} is newer than the supported version ${SNAPSHOT_VERSION_}. Please update TableApp.`
+    );
+  let upgraded = copyObject_(snapshot);
+  for (let v = version; v < SNAPSHOT_VERSION_; v++)
+    upgraded = SNAPSHOT_UPGRADES_[v](upgraded);
+  const { table, rowData } = upgraded;
+  if (!table || !table.name || !table.range || !Array.isArray(rowData))
+    throw new ValidationError(
+      'Invalid snapshot. "table" and "rowData" are required.'
+    );
+  return upgraded;
+}
+
+/**
+ * Copies the rowData of a table for another range or name.
+ * The relative cell references are shifted with the range, the table references of the old name are
+ * renamed, and the SUBTOTAL formulas of the footer row are rebuilt for the new range.
+ *
+ * @private
+ * @param {Array<Object>} rowData rowData of the old table range.
+ * @param {Object} table Old table with "name", "range" and "rowsProperties".
+ * @param {Object} newTable New table with "name" and "range".
+ * @return {Array<Object>} The copied rowData.
+ */
+function relocateRowData_(rowData, table, newTable) {
+  const { startRowIndex = 0, endRowIndex, startColumnIndex = 0 } = table.range;
+  const rowShift = (newTable.range.startRowIndex || 0) - startRowIndex;
+  const columnShift = (newTable.range.startColumnIndex || 0) - startColumnIndex;
+  const footerRow =
+    table.rowsProperties && table.rowsProperties.footerColorStyle
+      ? endRowIndex - startRowIndex - 1
+      : -1;
+  return copyObject_(rowData).map((row, r) => {
+    (row.values || []).forEach((cell, c) => {
+      const value = cell.userEnteredValue;
+      if (!value || typeof value.formulaValue !== "string") return;
+      let formula = value.formulaValue;
+      const m = r === footerRow && formula.match(SUBTOTAL_FORMULA_REGEX_);
+      if (m) formula = toSubtotalFormula_(Number(m[1]), newTable.range, c);
+      else formula = shiftFormulaReferences_(formula, rowShift, columnShift);
+      if (formula === "") {
+        delete cell.userEnteredValue;
+        return;
+      }
+      if (table.name !== newTable.name)
+        formula = replaceTableName_(formula, table.name, newTable.name);
+      value.formulaValue = formula;
+    });
+    return row;
+  });
+}
+
+/**
+ * Metadata key of the fingerprint hashes saved by Table.getFingerprint.
+ *
+ * @private
+ * @type {string}
+ */
+const FINGERPRINT_METADATA_KEY_ = "tableapp.fingerprint";
+
+/**
+ * Metadata key of the formulas saved by Table.setCalculatedColumn.
+ *
+ * @private
+ * @type {string}
+ */
+const CALCULATED_COLUMNS_METADATA_KEY_ = "tableapp.calculatedColumns";
+
+/**
+ * Prefix of the metadata keys of the tags set by Table.setTag.
+ *
+ * @private
+ * @type {string}
+ */
+const TAG_METADATA_KEY_PREFIX_ = "tableapp.tag.";
+
+/**
+ * Converts a tag key to the metadata key.
+ *
+ * @private
+ * @param {string} key
+ * @return {string}
+ * @throws {ValidationError} If the key is not a non-empty string.
+ */
+function toTagMetadataKey_(key) {
+  if (typeof key !== "string" || key === "")
+    throw new ValidationError("Invalid tag key. Must be a non-empty string.");
+  return TAG_METADATA_KEY_PREFIX_ + key;
+}
+
+/**
+ * Computes a 64-bit hash of a string as 16 hex digits. This is not a cryptographic hash.
+ *
+ * @private
+ * @param {string} str
+ * @return {string}
+ */
+function hashString_(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 =
+    Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 =
+    Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return [h2, h1].map((h) => (h >>> 0).toString(16).padStart(8, "0")).join("");
+}
+
+/**
+ * Creates the fingerprint of a table from the values of its data rows.
+ *
+ * @private
+ * @param {Object} table Table with "name" and "columnProperties".
+ * @param {Array<Array<any>>} rows Unformatted values of the data rows.
+ * @param {number} keyIndex Column index of the key, or -1.
+ * @return {{hash: string, key: string|null, rows: Array<string>, keys: Array<any>|null}}
+ */
+function createFingerprint_(table, rows, keyIndex) {
+  const columns = [...(table.columnProperties || [])]
+    .sort((a, b) => (a.columnIndex || 0) - (b.columnIndex || 0))
+    .map(({ columnName, columnType = null }) => [columnName, columnType]);
+  const hashes = rows.map((row) => hashString_(JSON.stringify(row)));
+  return {
+    hash: hashString_(JSON.stringify([table.name, columns, hashes])),
+    key: keyIndex === -1 ? null : columns[keyIndex][0],
+    rows: hashes,
+    keys: keyIndex === -1 ? null : rows.map((row) => row[keyIndex]),
+  };
+}
+
+/**
+ * Displayed values of the ErrorValue types, which are returned for the errors by the values
+ * methods with UNFORMATTED_VALUE.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const ERROR_VALUE_TEXTS_ = {
+  ERROR: "#ERROR!",
+  NULL_VALUE: "#NULL!",
+  DIVIDE_BY_ZERO: "#DIV/0!",
+  VALUE: "#VALUE!",
+  REF: "#REF!",
+  NAME: "#NAME?",
+  NUM: "#NUM!",
+  N_A: "#N/A",
+  LOADING: "Loading...",
+};
+
+/**
+ * Converts the rowData of a snapshot to the unformatted values of the data rows.
+ * The errors are converted to their displayed values (e.g. "#DIV/0!") like the values read from the
+ * table, so the rows with errors are not reported as modified.
+ *
+ * @private
+ * @param {Object} table Table of the snapshot.
+ * @param {Array<Object>} rowData rowData of the snapshot.
+ * @return {Array<Array<any>>}
+ */
+function snapshotToRows_(table, rowData) {
+  const {
+    startRowIndex = 0,
+    endRowIndex,
+    startColumnIndex = 0,
+    endColumnIndex,
+  } = table.range;
+  const footer =
+    table.rowsProperties && table.rowsProperties.footerColorStyle ? 1 : 0;
+  const height = endRowIndex - startRowIndex - 1 - footer;
+  return [...Array(Math.max(height, 0))].map((_, i) => {
+    const values = (rowData[i + 1] && rowData[i + 1].values) || [];
+    return [...Array(endColumnIndex - startColumnIndex)].map((_, j) => {
+      const v = values[j] && values[j].effectiveValue;
+      if (!v) return "";
+      if (v.errorValue)
+        return ERROR_VALUE_TEXTS_[v.errorValue.type] || `#${v.errorValue.type}`;
+      const [value = ""] = ["numberValue", "stringValue", "boolValue"]
+        .filter((key) => key in v)
+        .map((key) => v[key]);
+      return value;
+    });
+  });
+}
+
+/**
+ * Parses developer metadata saved by TableApp for a table.
+ *
+ * @private
+ * @param {Object} developerMetadata
+ * @return {{metadataId: number, metadataKey: string, tableId: string, value: any}|null} null for other metadata.
+ */
+function parseTableMetadata_(developerMetadata) {
+  const { metadataId, metadataKey, metadataValue } = developerMetadata;
+  try {
+    const { tableId, value } = JSON.parse(metadataValue);
+    if (tableId === undefined) return null;
+    return { metadataId, metadataKey, tableId, value };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Column types of tables.
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const COLUMN_TYPES_ = [
+  "DOUBLE",
+  "CURRENCY",
+  "PERCENT",
+  "DATE",
+  "TIME",
+  "DATE_TIME",
+  "TEXT",
+  "BOOLEAN",
+  "DROPDOWN",
+  "FILES_CHIP",
+  "PEOPLE_CHIP",
+  "FINANCE_CHIP",
+  "PLACE_CHIP",
+  "RATINGS_CHIP",
+];
+
+/**
+ * Validates column definitions and converts them to TableColumnProperties.
+ *
+ * @private
+ * @param {Array<{name: string, type?: string, options?: Array<string>}>} columns
+ * @param {number} [startIndex=0] Column index of the first column.
+ * @return {Array<Object>} TableColumnProperties
+ * @throws {Error} If the column definitions are invalid.
+ */
+function buildColumnProperties_(columns, startIndex = 0) {
+  if (!Array.isArray(columns) || columns.length === 0)
+    throw new ValidationError(
+      'Invalid schema. "columns" must be a non-empty array.'
+    );
+  const names = new Set();
+  return columns.map((column, i) => {
+    const { name, type, options } = column || {};
+    if (!name || typeof name !== "string")
+      throw new ValidationError(`Invalid schema. Column ${i} has no name.`);
+    if (names.has(name))
+      throw new ValidationError(
+        `Invalid schema. Column "${name}" is duplicated.`
+      );
+    names.add(name);
+
+    const prop = { columnIndex: startIndex + i, columnName: name };
+    if (!type) {
+      if (options)
+        throw new ValidationError(
+          `Invalid schema. Column "${name}" has options but is not "DROPDOWN".`
+        );
+      return prop;
+    }
+    const columnType = String(type).toUpperCase();
+    if (!COLUMN_TYPES_.includes(columnType))
+      throw new ValidationError(
+        `Invalid schema. Unknown type "${type}" in column "${name}".`
+      );
+    prop.columnType = columnType;
+
+    if (columnType === "DROPDOWN") {
+      if (
+        !Array.isArray(options) ||
+        options.length === 0 ||
+        options.some((o) => typeof o !== "string" || o === "")
+      )
+        throw new ValidationError(
+          `Invalid schema. Column "${name}" requires "options" as a non-empty array of strings.`
+        );
+      prop.dataValidationRule = {
+        condition: {
+          type: "ONE_OF_LIST",
+          values: options.map((o) => ({ userEnteredValue: o })),
+        },
+      };
+    } else if (options) {
+      throw new ValidationError(
+        `Invalid schema. Column "${name}" has options but is not "DROPDOWN".`
+      );
+    }
+    return prop;
+  });
+}
+
+/**
+ * Themes for Table.setTheme. The presets are here, and registerTheme adds to them.
+ *
+ * @private
+ * @type {Object<string, {header: string, firstBand: string, secondBand: string, footer: string}>}
+ */
+const THEMES_ = {
+  blue: {
+    header: "#4285f4",
+    firstBand: "#ffffff",
+    secondBand: "#e8f0fe",
+    footer: "#c6dafc",
+  },
+  green: {
+    header: "#34a853",
+    firstBand: "#ffffff",
+    secondBand: "#e6f4ea",
+    footer: "#ceead6",
+  },
+  red: {
+    header: "#ea4335",
+    firstBand: "#ffffff",
+    secondBand: "#fce8e6",
+    footer: "#fad2cf",
+  },
+  orange: {
+    header: "#fa7b17",
+    firstBand: "#ffffff",
+    secondBand: "#feefe3",
+    footer: "#fedfc8",
+  },
+  purple: {
+    header: "#a142f4",
+    firstBand: "#ffffff",
+    secondBand: "#f3e8fd",
+    footer: "#e9d2fd",
+  },
+  teal: {
+    header: "#129eaf",
+    firstBand: "#ffffff",
+    secondBand: "#e4f7fb",
+    footer: "#cbf0f8",
+  },
+  gray: {
+    header: "#5f6368",
+    firstBand: "#ffffff",
+    secondBand: "#f1f3f4",
+    footer: "#dadce0",
+  },
+};
+
+/**
+ * ThemeColorTypes of the spreadsheet theme.
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const THEME_COLOR_TYPES_ = [
+  "TEXT",
+  "BACKGROUND",
+  "ACCENT1",
+  "ACCENT2",
+  "ACCENT3",
+  "ACCENT4",
+  "ACCENT5",
+  "ACCENT6",
+  "LINK",
+];
+
+/**
+ * Converts the colors of a theme to the color styles of rowsProperties.
+ *
+ * @private
+ * @param {Object} spec Theme with "header", "firstBand", "secondBand" and "footer".
+ * @return {Object} rowsProperties with the color styles of the given colors.
+ * @throws {ValidationError} If the theme or a color is invalid.
+ */
+function themeToRowsProperties_(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec))
+    throw new ValidationError("Invalid theme. Must be an object.");
+  const keys = ["header", "firstBand", "secondBand", "footer"];
+  const unknown = Object.keys(spec).filter((key) => !keys.includes(key));
+  if (unknown.length > 0)
+    throw new ValidationError(
+      `Invalid theme keys: ${unknown.join(", ")}. Use ${keys.join(", ")}.`
+    );
+  return keys.reduce((o, key) => {
+    if (spec[key] === undefined) return o;
+    const color = String(spec[key]);
+    o[`${key}ColorStyle`] = THEME_COLOR_TYPES_.includes(color.toUpperCase())
+      ? { themeColor: color.toUpperCase() }
+      : hexToColorStyle_(color);
+    return o;
+  }, {});
+}
+
+/**
+ * Relative dates of the date conditions.
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const RELATIVE_DATES_ = [
+  "PAST_YEAR",
+  "PAST_MONTH",
+  "PAST_WEEK",
+  "YESTERDAY",
+  "TODAY",
+  "TOMORROW",
+];
+
+/**
+ * Converts a hex color (e.g. "#ff0000" or "#f00") to ColorStyle.
+ *
+ * @private
+ * @param {string} hex
+ * @return {Object} ColorStyle with rgbColor.
+ * @throws {ValidationError} If the hex color is invalid.
+ */
+function hexToColorStyle_(hex) {
+  const m = String(hex).match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) throw new ValidationError(`Invalid color "${hex}".`);
+  const digits =
+    m[1].length === 3
+      ? m[1]
+          .split("")
+          .map((c) => c + c)
+          .join("")
+      : m[1];
+  const [red, green, blue] = [0, 2, 4].map(
+    (i) => parseInt(digits.slice(i, i + 2), 16) / 255
+  );
+  return { rgbColor: { red, green, blue } };
+}
+
+/**
+ * Converts a format with hex colors to CellFormat.
+ * "backgroundColor" and "textColor" are hex colors, and "bold", "italic", "strikethrough" and
+ * "underline" are of textFormat. Other keys are copied as they are.
+ *
+ * @private
+ * @param {Object} format
+ * @return {Object} CellFormat
+ * @throws {ValidationError} If a color is invalid.
+ */
+function toCellFormat_(format) {
+  const {
+    backgroundColor,
+    textColor,
+    bold,
+    italic,
+    strikethrough,
+    underline,
+    ...rest
+  } = format;
+  const cellFormat = copyObject_(rest);
+  if (backgroundColor !== undefined)
+    cellFormat.backgroundColorStyle = hexToColorStyle_(backgroundColor);
+  const textFormat = { ...(cellFormat.textFormat || {}) };
+  if (textColor !== undefined)
+    textFormat.foregroundColorStyle = hexToColorStyle_(textColor);
+  Object.entries({ bold, italic, strikethrough, underline }).forEach(
+    ([key, value]) => {
+      if (value !== undefined) textFormat[key] = Boolean(value);
     }
-    return `${this.table.name} (Table ID: ${this.table.tableId}) was successfully reversed.`;
+  );
+  if (Object.keys(textFormat).length > 0) cellFormat.textFormat = textFormat;
+  return cellFormat;
+}
+
+/**
+ * Converts ColorStyle to a hex color (e.g. "#ff0000").
+ *
+ * @private
+ * @param {Object|null|undefined} colorStyle ColorStyle with rgbColor or themeColor.
+ * @param {Array<{colorType: string, color: Object}>} [themeColors=[]] ThemeColorPairs of the spreadsheet theme.
+ * @return {string|null} The hex color, or null if there is no color.
+ */
+function colorStyleToHex_(colorStyle, themeColors = []) {
+  if (!colorStyle) return null;
+  let rgbColor = colorStyle.rgbColor;
+  if (colorStyle.themeColor) {
+    const pair = themeColors.find(
+      ({ colorType }) => colorType === colorStyle.themeColor
+    );
+    rgbColor = pair && pair.color && pair.color.rgbColor;
   }
+  if (!rgbColor) return null;
+  return (
+    "#" +
+    ["red", "green", "blue"]
+      .map((key) =>
+        Math.round((rgbColor[key] || 0) * 255)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")
+  );
+}
 
-  /**
-   * Copies the table to a new destination.
-   *
-   * @param {string} a1Notation Destination range in A1 notation.
-   * @return {Table} A new Table instance representing the copy.
-   * @throws {Error} If invalid notation or destination sheet not found.
-   */
-  copyTo(a1Notation) {
-    if (!a1Notation || typeof a1Notation !== "string")
-      throw new Error("Invalid A1 Notation.");
+/**
+ * Converts values to CSV by RFC 4180.
+ *
+ * @private
+ * @param {Array<Array<any>>} values
+ * @param {string} delimiter
+ * @param {string} lineBreak
+ * @return {string}
+ */
+function toCsv_(values, delimiter, lineBreak) {
+  return values
+    .map((row) =>
+      row
+        .map((v) => {
+          const str = String(v);
+          return str.includes(delimiter) || /["\r\n]/.test(str)
+            ? `"${str.replace(/"/g, '""')}"`
+            : str;
+        })
+        .join(delimiter)
+    )
+    .join(lineBreak);
+}
+
+/**
+ * Converts values to a Markdown table. The first row is the header.
+ *
+ * @private
+ * @param {Array<Array<any>>} values
+ * @param {Array<string|null>} alignments "right" or null for each column.
+ * @return {string}
+ */
+function toMarkdown_(values, alignments) {
+  const escape = (v) =>
+    String(v)
+      .replace(/\\/g, "\\\\")
+      .replace(/\|/g, "\\|")
+      .replace(/\r?\n/g, "<br>");
+  const line = (row) => `| ${row.map(escape).join(" | ")} |`;
+  const [header, ...rows] = values;
+  const separator = `| ${header
+    .map((_, i) => (alignments[i] === "right" ? "--:" : "---"))
+    .join(" | ")} |`;
+  return [line(header), separator, ...rows.map(line)].join("\n");
+}
 
-    const parsed = parseA1Notation_(a1Notation);
+/**
+ * Converts values to an HTML table. The first row is the header.
+ *
+ * @private
+ * @param {Array<Array<any>>} values
+ * @param {{colors: Object<string, string|null>, hasFooter: boolean}} obj Colors of "header", "firstBand", "secondBand" and "footer".
+ * @return {string}
+ */
+function toHtml_(values, { colors, hasFooter }) {
+  const entities = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+  const escape = (v) => String(v).replace(/[&<>"']/g, (c) => entities[c]);
+  const tr = (row, tag, color) =>
+    `<tr${color ? ` style="background-color: ${color};"` : ""}>` +
+    row.map((v) => `<${tag}>${escape(v)}</${tag}>`).join("") +
+    "</tr>";
+  const [header, ...rows] = values;
+  const footer = hasFooter && rows.length > 0 ? rows.pop() : null;
+  const body = rows.map((row, i) =>
+    tr(row, "td", i % 2 === 0 ? colors.firstBand : colors.secondBand)
+  );
+  return [
+    "<table>",
+    `<thead>${tr(header, "th", colors.header)}</thead>`,
+    `<tbody>${body.join("")}</tbody>`,
+    ...(footer ? [`<tfoot>${tr(footer, "td", colors.footer)}</tfoot>`] : []),
+    "</table>",
+  ].join("\n");
+}
 
-    // Resolve Destination Sheet ID
-    const sheetsData = sget_(
-      this.spreadsheetId,
-      "sheets(properties(sheetId,title))"
-    );
-    let destSheetId, destSheetName;
+/**
+ * Computes the longest common subsequence of two arrays, and returns the operations which
+ * convert a to b. The common prefix and suffix are skipped, and when the rest is too large,
+ * all of it is treated as deleted and inserted.
+ *
+ * @private
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @return {Array<{a: number, b: number}>} Operations in order. "a" is -1 for an insertion, and "b" is -1 for a deletion.
+ */
+function diffSequences_(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ a: k, b: k });
 
-    if (parsed.sheetName) {
-      // @ts-ignore
-      const s = sheetsData.sheets.find(
-        ({ properties: { title } }) => title === parsed.sheetName
-      );
-      if (s) {
-        destSheetId = s.properties.sheetId;
-        destSheetName = s.properties.title;
+  const n = endA - start;
+  const m = endB - start;
+  let i = 0;
+  let j = 0;
+  if (n * m <= 4000000) {
+    // lengths[i * (m + 1) + j] is the length of the LCS of a[start + i..] and b[start + j..].
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let x = n - 1; x >= 0; x--) {
+      for (let y = m - 1; y >= 0; y--) {
+        lengths[x * (m + 1) + y] =
+          a[start + x] === b[start + y]
+            ? lengths[(x + 1) * (m + 1) + y + 1] + 1
+            : Math.max(
+                lengths[(x + 1) * (m + 1) + y],
+                lengths[x * (m + 1) + y + 1]
+              );
+      }
+    }
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        ops.push({ a: start + i++, b: start + j++ });
+      } else if (
+        lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]
+      ) {
+        ops.push({ a: start + i++, b: -1 });
       } else {
-        throw new Error(`Destination sheet "${parsed.sheetName}" not found.`);
+        ops.push({ a: -1, b: start + j++ });
       }
-    } else {
-      // If no sheet provided, assume same sheet as current table
-      destSheetId = this.sheetId;
-      destSheetName = this.sheetName;
     }
+  }
+  for (; i < n; i++) ops.push({ a: start + i, b: -1 });
+  for (; j < m; j++) ops.push({ a: -1, b: start + j });
+  for (let k = 0; k < a.length - endA; k++)
+    ops.push({ a: endA + k, b: endB + k });
+  return ops;
+}
 
-    const destination = convA1NotationToGridRange_(parsed.range, destSheetId);
-    const requests = [{ copyPaste: { source: this.table.range, destination } }];
-
-    batchUpdate_(this.spreadsheetId, requests);
-
-    // Fetch the new table to return an instance of it
-    const tablesData = fetchAllTables_(this.spreadsheetId);
-
-    // Find the table that matches the destination range
-    const copiedTableObj = tablesData.tablesBySheetNames[
-      destSheetName
-    ]?.tables?.find((t) => {
-      const tr = t.getMetadata().range;
-      return (
-        (tr.sheetId || 0) === (destSheetId || 0) &&
-        tr.startRowIndex === destination.startRowIndex &&
-        tr.startColumnIndex === destination.startColumnIndex
-      );
-    });
-
-    if (!copiedTableObj) {
-      throw new Error(
-        "Table copied, but could not retrieve the new table instance."
-      );
+/**
+ * Parses CSV by RFC 4180. Line breaks are CRLF, LF or CR, and a line break at the end is ignored.
+ *
+ * @private
+ * @param {string} text
+ * @param {string} [delimiter=","]
+ * @return {Array<Array<string>>}
+ * @throws {ValidationError} If the delimiter is invalid, or a quoted field is not closed.
+ */
+function parseCsv_(text, delimiter = ",") {
+  if (typeof delimiter !== "string" || !/^[^"\r\n]$/.test(delimiter))
+    throw new ValidationError(
+      "Invalid delimiter. Must be a single character except double quotes and line breaks."
+    );
+  const rows = [];
+  let row = [];
+  let field = "";
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '"' && field === "") {
+      // Quoted field
+      let end = i + 1;
+      for (;;) {
+        end = text.indexOf('"', end);
+        if (end === -1)
+          throw new ValidationError(
+            `Invalid CSV. The quoted field at ${i} is not closed.`
+          );
+        if (text[end + 1] !== '"') break;
+        end += 2;
+      }
+      field = text.slice(i + 1, end).replace(/""/g, '"');
+      i = end + 1;
+      if (i < text.length && text[i] !== delimiter && !/[\r\n]/.test(text[i]))
+        throw new ValidationError(
+          `Invalid CSV. Unexpected character after the quoted field at ${i}.`
+        );
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+      i++;
+    } else if (c === "\r" || c === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      i += c === "\r" && text[i + 1] === "\n" ? 2 : 1;
+    } else {
+      field += c;
+      i++;
     }
-
-    return copiedTableObj;
   }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
 
-  /**
-   * Helper to execute update requests.
-   *
-   * @private
-   * @param {Array<Object>} requests The batch update requests.
-   * @return {Table} This instance.
-   */
-  _updateTable(requests) {
-    try {
-      batchUpdate_(this.spreadsheetId, requests);
-    } catch (e) {
-      throw new Error(`Table update failed: ${e.message}`);
+/**
+ * Converts a value to the type of a column for writing.
+ * Blank values are converted to "".
+ *
+ * @private
+ * @param {any} value
+ * @param {Object} columnProperty TableColumnProperties.
+ * @param {string|null} [timeZone=null] Time zone used to convert date strings to Date objects.
+ * @return {any}
+ * @throws {ValidationError} If the value cannot be converted.
+ */
+function coerceValue_(value, columnProperty, timeZone = null) {
+  if (isBlank_(value)) return "";
+  const { columnType, dataValidationRule } = columnProperty;
+  switch (columnType) {
+    case "DOUBLE":
+    case "CURRENCY":
+    case "PERCENT": {
+      if (typeof value === "number" && isFinite(value)) return value;
+      const str = String(value).trim();
+      const percent = columnType === "PERCENT" && str.endsWith("%");
+      const num = Number(percent ? str.slice(0, -1) : str);
+      if (typeof value === "boolean" || str === "" || !isFinite(num))
+        throw new ValidationError(`"${value}" is not a number.`);
+      return percent ? num / 100 : num;
     }
-    return this;
+    case "BOOLEAN":
+      if (typeof value === "boolean") return value;
+      if (typeof value === "string" && /^(true|false)$/i.test(value.trim()))
+        return value.trim().toLowerCase() === "true";
+      throw new ValidationError(`"${value}" is not a boolean.`);
+    case "DATE":
+    case "TIME":
+    case "DATE_TIME": {
+      if (isDate_(value) && !isNaN(value.getTime())) return value;
+      const parsed =
+        typeof value === "string" ? parseDateString_(value.trim()) : null;
+      if (!parsed) throw new ValidationError(`"${value}" is not a date.`);
+      return serialToDate_(parsed.serial, timeZone);
+    }
+    case "DROPDOWN": {
+      const condition =
+        (dataValidationRule && dataValidationRule.condition) || {};
+      const options = (condition.values || []).map((v) => v.userEnteredValue);
+      if (!options.includes(String(value)))
+        throw new ValidationError(
+          `"${value}" is not one of the options (${options.join(", ")}).`
+        );
+      return String(value);
+    }
+    case "TEXT":
+      return String(value);
+    default:
+      return value;
   }
 }
 
-/* -------------------------------------------------------------------------- */
-/*                               PRIVATE HELPERS                              */
-/* -------------------------------------------------------------------------- */
-
 /**
- * Wrapper for Sheets.Spreadsheets.get
+ * Parses a date string ("yyyy-mm-dd", "yyyy/mm/dd" or "m/d/yyyy" with an optional time, or a time "h:mm:ss") to a serial number.
  *
  * @private
- * @param {string} spreadsheetId
- * @param {string} [fields="*"]
- * @param {Array<string>} [ranges=[]]
- * @return {Object} API response
+ * @param {string} str
+ * @return {{serial: number, type: string, pattern: string}|null} type is "DATE", "DATE_TIME" or "TIME", and pattern is the number format of the string. null if the string is not a date.
  */
-function sget_(spreadsheetId, fields = "*", ranges = []) {
-  return Sheets.Spreadsheets.get(spreadsheetId, { fields, ranges });
+function parseDateString_(str) {
+  const time = "(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?";
+  const iso = str.match(
+    new RegExp(`^(\\d{4})([-/])(\\d{1,2})\\2(\\d{1,2})${time}$`)
+  );
+  const us = str.match(new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})${time}$`));
+  const t = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!iso && !us && !t) return null;
+
+  const [y, mo, d, h, mi, s] = (
+    iso
+      ? [iso[1], iso[3], iso[4], iso[5], iso[6], iso[7]]
+      : us
+        ? [us[3], us[1], us[2], us[4], us[5], us[6]]
+        : [1899, 12, 30, t[1], t[2], t[3]]
+  ).map((e) => Number(e || 0));
+  const utc = Date.UTC(y, mo - 1, d, h, mi, s);
+  const date = new Date(utc);
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  if (h > 23 || mi > 59 || s > 59) return null;
+
+  const hasTime = Boolean(t || (iso || us)[4] !== undefined);
+  const type = t ? "TIME" : hasTime ? "DATE_TIME" : "DATE";
+  const datePattern = iso ? "yyyy-mm-dd" : "m/d/yyyy";
+  const pattern =
+    type === "TIME"
+      ? "h:mm:ss"
+      : type === "DATE_TIME"
+        ? `${datePattern} ${iso ? "hh" : "h"}:mm:ss`
+        : datePattern;
+  return { serial: utc / 86400000 + 25569, type, pattern };
 }
 
 /**
- * Wrapper for Sheets.Spreadsheets.batchUpdate
+ * Infers the column type from the values of a column.
+ * Numbers are "DOUBLE", booleans are "BOOLEAN", strings are "TEXT", and Date objects are "DATE"
+ * when all of them are midnight in the time zone, or "DATE_TIME".
  *
  * @private
- * @param {string} spreadsheetId
- * @param {Array<Object>} requests
- * @return {Object} API response
+ * @param {Array<any>} values
+ * @param {string|null} [timeZone=null]
+ * @return {string|null} The column type, or null if the values are blank or mixed.
  */
-function batchUpdate_(spreadsheetId, requests) {
-  return Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+function inferColumnType_(values, timeZone = null) {
+  const filled = values.filter((v) => !isBlank_(v));
+  if (filled.length === 0) return null;
+  if (filled.every((v) => typeof v === "number")) return "DOUBLE";
+  if (filled.every((v) => typeof v === "boolean")) return "BOOLEAN";
+  if (filled.every((v) => typeof v === "string")) return "TEXT";
+  if (filled.every(isDate_))
+    return filled.every((v) => dateToSerial_(v, timeZone) % 1 === 0)
+      ? "DATE"
+      : "DATE_TIME";
+  return null;
 }
 
 /**
- * Wrapper for Sheets.Spreadsheets.Values.get
+ * Checks whether a cell value is blank.
  *
  * @private
- * @param {string} spreadsheetId
- * @param {string} range
- * @return {Array<Array<any>>} Values
+ * @param {any} value
+ * @return {boolean}
  */
-function valuesGet_(spreadsheetId, range) {
-  const res = Sheets.Spreadsheets.Values.get(spreadsheetId, range, {
-    valueRenderOption: "FORMATTED_VALUE",
-  });
-  return res.values;
+function isBlank_(value) {
+  return value === "" || value === null || value === undefined;
 }
 
 /**
- * Wrapper for Sheets.Spreadsheets.Values.update
+ * Compares two cell values.
+ * Numbers, numeric strings and Date objects (as serial numbers) are compared numerically,
+ * and the others as strings.
  *
  * @private
- * @param {string} spreadsheetId
- * @param {Array<Array<any>>} values
- * @param {string} range
- * @return {Object} Updated range info
+ * @param {any} a
+ * @param {any} b
+ * @return {number} Negative if a < b, positive if a > b, otherwise 0.
  */
-function valuesUpdate_(spreadsheetId, values, range) {
-  const res = Sheets.Spreadsheets.Values.update(
-    { values },
-    spreadsheetId,
-    range,
-    { valueInputOption: "USER_ENTERED" }
-  );
-  return res.updatedRange;
+function compareValues_(a, b) {
+  const toComparable = (v) => {
+    if (isDate_(v)) return dateToSerial_(v);
+    if (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v)))
+      return Number(v);
+    return v;
+  };
+  const x = toComparable(a);
+  const y = toComparable(b);
+  if (typeof x === "number" && typeof y === "number") return x - y;
+  return String(x).localeCompare(String(y));
 }
 
 /**
  * Fetch and categorize all tables in the spreadsheet.
  *
  * @private
- * @param {string} spreadsheetId
+ * @param {TableApp} app
  * @return {{tablesBySheetNames: Object, tablesByTableNames: Object, tablesByTableIds: Object}} Structured table data
  */
-function fetchAllTables_(spreadsheetId) {
-  const res = sget_(spreadsheetId, "sheets(properties(sheetId,title),tables)");
+function fetchAllTables_(app) {
+  const { spreadsheetId } = app;
+  const res = sget_(
+    app,
+    spreadsheetId,
+    "sheets(properties(sheetId,title),tables,conditionalFormats(ranges),filterViews(range,tableId))"
+  );
 
   const result = {
     tablesBySheetNames: {},
@@ -616,10 +7458,17 @@ function fetchAllTables_(spreadsheetId) {
       const tableInstances = apiTables.map(
         (t) =>
           new Table({
+            app,
             spreadsheetId,
             sheetName: title,
             sheetId: sheetId,
             table: t,
+            hasConditionalFormats: (sheet.conditionalFormats || []).some(
+              (rule) => isTableConditionalFormat_(rule, t.range)
+            ),
+            hasFilterViews: (sheet.filterViews || []).some((view) =>
+              isTableFilterView_(view, t)
+            ),
           })
       );
 
@@ -642,155 +7491,482 @@ function fetchAllTables_(spreadsheetId) {
 }
 
 /**
- * Parse A1Notation to separate sheet name and range.
+ * Splits a notation to the sheet name and the range.
+ * A quoted sheet name can include "!" and "''" (escaped single quote). For an unquoted sheet name, the last "!" is the separator.
  *
  * @private
- * @param {string} a1Notation
- * @return {{sheetName: string|null, range: string}|null}
+ * @param {string} notation
+ * @return {{sheetName: string|null, range: string|null}} range is null for a quoted sheet name without a range.
+ * @throws {ValidationError} If the quoted sheet name is not closed, or the sheet name or the range is empty.
  */
-function parseA1Notation_(a1Notation) {
-  if (!a1Notation) return null;
-  const regex = /(?:(?:'([^']*)'|([^!]+))!)?(.+)/;
-  const match = a1Notation.match(regex);
-  if (match) {
-    const sheetName = match[1] || match[2] || null;
-    const range = match[3];
-    return { sheetName, range };
+function splitSheetName_(notation) {
+  if (notation.startsWith("'")) {
+    const quoted = notation.match(/^'((?:[^']|'')+)'(?:!(.*))?$/);
+    if (!quoted)
+      throw new ValidationError(
+        `Invalid notation "${notation}". The quoted sheet name must be closed with "'" and followed by "!".`
+      );
+    const sheetName = quoted[1].replace(/''/g, "'");
+    if (quoted[2] === "")
+      throw new ValidationError(
+        `Invalid notation "${notation}". The range after "!" is empty.`
+      );
+    return { sheetName, range: quoted[2] === undefined ? null : quoted[2] };
   }
-  return null;
+  const index = notation.lastIndexOf("!");
+  if (index === -1) return { sheetName: null, range: notation };
+  const sheetName = notation.slice(0, index);
+  const range = notation.slice(index + 1);
+  if (!sheetName || !range)
+    throw new ValidationError(
+      `Invalid notation "${notation}". The sheet name and the range around "!" must not be empty.`
+    );
+  return { sheetName, range };
 }
 
 /**
- * Converts a column letter to an index (0-based).
+ * Parses the range part of a notation to GridRange without sheetId.
  *
  * @private
- * @param {string} letter
- * @return {number}
+ * @param {string} range
+ * @param {boolean} [r1c1] R1C1 notation. When omitted, it is detected by a cell like "R1C1".
+ * @return {Object|null} GridRange, or null if the range is not a range (e.g. a sheet name).
+ * @throws {ValidationError} If the range is malformed, or the column is out of the grid limit.
  */
-function columnLetterToIndex_(letter) {
-  if (!letter || typeof letter !== "string")
-    throw new Error("Column letter must be a string.");
-  letter = letter.toUpperCase();
-  return [...letter].reduce(
-    (c, e, i, a) =>
-      (c += (e.charCodeAt(0) - 64) * Math.pow(26, a.length - i - 1)),
-    -1
-  );
+function parseRange_(range, r1c1) {
+  const parts = range.split(":");
+  if (parts.length > 2) return null;
+  if (r1c1 === undefined) r1c1 = parts.some((p) => /^R\d+C\d+$/i.test(p));
+  if (parts.some((p) => /\[/.test(p) || (r1c1 && /^(R|C|RC)$/i.test(p))))
+    throw new ValidationError(
+      `Invalid range "${range}". Relative R1C1 references are not supported.`
+    );
+  const tokens = parts.map((p) => parseCellToken_(p, r1c1));
+  if (tokens.some((t) => t === null)) return null;
+
+  const sort = (a, b) => (a <= b ? [a, b] : [b, a]);
+  const [a, b = a] = tokens;
+  const isCell = (t) => t.row !== null && t.col !== null;
+  let rows = null;
+  let cols = null;
+  if (tokens.length === 1) {
+    if (!isCell(a)) return null;
+    rows = [a.row, a.row];
+    cols = [a.col, a.col];
+  } else if (isCell(a) && isCell(b)) {
+    rows = sort(a.row, b.row);
+    cols = sort(a.col, b.col);
+  } else if (isCell(a) && b.row === null) {
+    rows = [a.row, null]; // e.g. "A2:C"
+    cols = sort(a.col, b.col);
+  } else if (a.row === null && b.row === null) {
+    cols = sort(a.col, b.col); // e.g. "A:C"
+  } else if (a.col === null && b.col === null) {
+    rows = sort(a.row, b.row); // e.g. "3:10"
+  } else {
+    throw new ValidationError(
+      `Invalid range "${range}". An open-ended range must start with a cell and end with a column (e.g. "A2:C").`
+    );
+  }
+  if (cols && cols[1] >= MAX_COLUMN_COUNT_)
+    throw new ValidationError(
+      `Invalid range "${range}". The last column of a sheet is "${A1.indexToColumn(
+        MAX_COLUMN_COUNT_ - 1
+      )}".`
+    );
+
+  const gridRange = {};
+  if (rows) {
+    gridRange.startRowIndex = rows[0];
+    if (rows[1] !== null) gridRange.endRowIndex = rows[1] + 1;
+  }
+  if (cols) {
+    gridRange.startColumnIndex = cols[0];
+    if (cols[1] !== null) gridRange.endColumnIndex = cols[1] + 1;
+  }
+  return gridRange;
 }
 
 /**
- * Converts a column index (0-based) to a letter.
+ * The maximum number of columns of a sheet. The last column is "ZZZ".
  *
  * @private
- * @param {number} index
- * @return {string}
+ * @type {number}
+ */
+const MAX_COLUMN_COUNT_ = 18278;
+
+/**
+ * Parses a cell, a column or a row of a range (e.g. "$A$1", "A", "10", "R1C1", "C3").
+ *
+ * @private
+ * @param {string} token
+ * @param {boolean} r1c1
+ * @return {{row: number|null, col: number|null}|null} 0-based indexes, or null if the token does not match the syntax.
+ * @throws {ValidationError} If the row or column number is 0.
  */
-function columnIndexToLetter_(index) {
-  if (index === null || isNaN(index))
-    throw new Error("Index must be a number (0-based).");
-  let a;
-  return (a = Math.floor(index / 26)) >= 0
-    ? columnIndexToLetter_(a - 1) + String.fromCharCode(65 + (index % 26))
-    : "";
+function parseCellToken_(token, r1c1) {
+  const match = r1c1
+    ? token.match(/^(?:R(\d+))?(?:C(\d+))?$/i)
+    : token.match(/^(?:\$?([A-Z]+))?(?:\$?(\d+))?$/i);
+  if (!token || !match) return null;
+  const [rowStr, colStr] = r1c1 ? [match[1], match[2]] : [match[2], match[1]];
+  const row = rowStr === undefined ? null : Number(rowStr) - 1;
+  const col =
+    colStr === undefined
+      ? null
+      : r1c1
+        ? Number(colStr) - 1
+        : A1.columnToIndex(colStr);
+  if (row === -1 || col === -1)
+    throw new ValidationError(
+      `Invalid reference "${token}". Row and column numbers start at 1.`
+    );
+  return { row, col };
 }
 
 /**
- * Converts A1Notation to GridRange.
+ * Returns the bounds of a dimension of GridRange as 0-based inclusive indexes.
  *
  * @private
- * @param {string} a1Notation
- * @param {number} sheetId
- * @return {Object} GridRange
+ * @param {Object} gridRange
+ * @param {string} dimension "Row" or "Column".
+ * @return {{start: number, end: number|null}|null} end is null for an unbounded end, and null is returned if the dimension is unbounded.
+ * @throws {ValidationError} If the indexes are invalid.
  */
-function convA1NotationToGridRange_(a1Notation, sheetId = 0) {
-  if (
-    !a1Notation ||
-    typeof a1Notation !== "string" ||
-    sheetId === null ||
-    isNaN(sheetId)
-  ) {
-    throw new Error("Invalid inputs for A1 to GridRange conversion.");
-  }
+function getDimensionBounds_(gridRange, dimension) {
+  const start = gridRange[`start${dimension}Index`];
+  const end = gridRange[`end${dimension}Index`];
+  if (start === undefined && end === undefined) return null;
+  const s = start === undefined ? 0 : start;
+  const valid =
+    Number.isInteger(s) &&
+    s >= 0 &&
+    (end === undefined || (Number.isInteger(end) && end > s));
+  if (!valid)
+    throw new ValidationError(
+      `Invalid ${dimension.toLowerCase()} indexes of GridRange: ${JSON.stringify(
+        gridRange
+      )}`
+    );
+  return { start: s, end: end === undefined ? null : end - 1 };
+}
 
-  const parsed = parseA1Notation_(a1Notation);
-  const rangePart = parsed ? parsed.range : a1Notation;
+/**
+ * Checks whether a filter view is a view of a table. Filter views of the table ID, or starting at
+ * the top-left cell of the table are regarded as the views of the table.
+ *
+ * @private
+ * @param {Object} view FilterView. Only "range" and "tableId" are used.
+ * @param {Object} table Table with "tableId" and "range".
+ * @return {boolean}
+ */
+function isTableFilterView_({ range = {}, tableId }, table) {
+  const { startRowIndex = 0, startColumnIndex = 0 } = table.range;
+  return (
+    tableId === table.tableId ||
+    ((range.startRowIndex || 0) === startRowIndex &&
+      (range.startColumnIndex || 0) === startColumnIndex)
+  );
+}
 
-  const { col, row } = rangePart
-    .toUpperCase()
-    .split(":")
-    .reduce(
-      (o, part) => {
-        const r1 = part.match(/[A-Z]+/);
-        const r2 = part.match(/[0-9]+/);
-        o.col.push(r1 ? columnLetterToIndex_(r1[0]) : null);
-        o.row.push(r2 ? Number(r2[0]) : null);
-        return o;
-      },
-      { col: [], row: [] }
-    );
+/**
+ * Checks whether a conditional format rule belongs to a table.
+ * A rule belongs to the table when all its ranges start at the first data row and are inside the
+ * table.
+ *
+ * @private
+ * @param {Object} rule ConditionalFormatRule. Only "ranges" is used.
+ * @param {Object} tableRange GridRange of the table.
+ * @return {boolean}
+ */
+function isTableConditionalFormat_(rule, tableRange) {
+  const {
+    startRowIndex = 0,
+    endRowIndex,
+    startColumnIndex = 0,
+    endColumnIndex,
+  } = tableRange;
+  return (rule.ranges || []).every(
+    (range) =>
+      (range.startRowIndex || 0) === startRowIndex + 1 &&
+      range.endRowIndex <= endRowIndex &&
+      (range.startColumnIndex || 0) >= startColumnIndex &&
+      range.endColumnIndex <= endColumnIndex
+  );
+}
 
-  // Sort to handle reverse ranges (e.g. B2:A1)
-  col.sort((a, b) => a - b);
-  row.sort((a, b) => a - b);
+/**
+ * Checks whether requests change the range of a table.
+ *
+ * @private
+ * @param {Array<Object>} requests
+ * @param {string} tableId
+ * @return {boolean}
+ */
+function changesTableRange_(requests, tableId) {
+  return requests.some(
+    ({ updateTable }) =>
+      updateTable &&
+      updateTable.table.tableId === tableId &&
+      updateTable.fields.split(",").some((f) => f.trim() === "range")
+  );
+}
 
-  const startCol = col[0];
-  const endCol = col[1] !== undefined ? col[1] : startCol;
+/**
+ * Deep copies a JSON-compatible object.
+ *
+ * @private
+ * @param {any} obj
+ * @return {any}
+ */
+function copyObject_(obj) {
+  return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+}
 
-  const startRow = row[0];
-  const endRow = row[1] !== undefined ? row[1] : startRow;
+/**
+ * Creates an error of an API call with the HTTP status code, like the errors thrown by the transports.
+ *
+ * @private
+ * @param {string} message
+ * @param {number} code
+ * @return {Error}
+ */
+function createApiError_(message, code) {
+  const error = new Error(message);
+  // @ts-ignore
+  error.code = code;
+  return error;
+}
 
-  const obj = {
-    sheetId,
-  };
+/**
+ * Copies a field given as a field mask path (e.g. "rowsProperties.headerColorStyle") from an object to another.
+ * When the field does not exist in the source object, it is removed from the destination object.
+ *
+ * @private
+ * @param {Object} src
+ * @param {Object} dst
+ * @param {string} path
+ */
+function copyField_(src, dst, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let s = src;
+  let d = dst;
+  for (const key of keys) {
+    s = s && s[key];
+    if (!d[key] || typeof d[key] !== "object") d[key] = {};
+    d = d[key];
+  }
+  if (s && s[last] !== undefined) {
+    d[last] = copyObject_(s[last]);
+  } else {
+    delete d[last];
+  }
+}
 
-  if (startRow !== null) obj.startRowIndex = startRow - 1;
-  if (endRow !== null) obj.endRowIndex = endRow;
-  if (startCol !== null) obj.startColumnIndex = startCol;
-  if (endCol !== null) obj.endColumnIndex = endCol + 1;
+/**
+ * Removes the trailing empty elements of an array.
+ *
+ * @private
+ * @param {Array<any>} array
+ * @param {function(any): boolean} [isEmpty]
+ * @return {Array<any>}
+ */
+function trimEnd_(array, isEmpty = (v) => v === "") {
+  let end = array.length;
+  while (end > 0 && isEmpty(array[end - 1])) end--;
+  return array.slice(0, end);
+}
 
-  // Defaults for infinite ranges (e.g. "A:A")
-  if (!obj.hasOwnProperty("startRowIndex") && obj.hasOwnProperty("endRowIndex"))
-    obj.startRowIndex = 0;
-  if (
-    !obj.hasOwnProperty("startColumnIndex") &&
-    obj.hasOwnProperty("endColumnIndex")
-  )
-    obj.startColumnIndex = 0;
+/**
+ * Returns the keys of the start and end indexes of GridRange for a dimension.
+ *
+ * @private
+ * @param {string} dimension "ROWS" or "COLUMNS".
+ * @return {Array<string>}
+ */
+function dimensionKeys_(dimension) {
+  return dimension === "ROWS"
+    ? ["startRowIndex", "endRowIndex"]
+    : ["startColumnIndex", "endColumnIndex"];
+}
 
-  return obj;
+/**
+ * Checks whether two GridRanges with all indexes overlap.
+ *
+ * @private
+ * @param {Object} a
+ * @param {Object} b
+ * @return {boolean}
+ */
+function rangesOverlap_(a, b) {
+  return (
+    (a.sheetId || 0) === (b.sheetId || 0) &&
+    a.startRowIndex < b.endRowIndex &&
+    b.startRowIndex < a.endRowIndex &&
+    a.startColumnIndex < b.endColumnIndex &&
+    b.startColumnIndex < a.endColumnIndex
+  );
 }
 
 /**
- * Converts GridRange to A1Notation.
+ * Checks whether a GridRange with all indexes contains another one.
  *
  * @private
- * @param {Object} gridrange
- * @param {string} sheetName
- * @return {string}
+ * @param {Object} outer
+ * @param {Object} inner
+ * @return {boolean}
  */
-function convGridRangeToA1Notation_(gridrange, sheetName = "") {
-  if (!gridrange) throw new Error("GridRange object is missing.");
+function rangeContains_(outer, inner) {
+  return (
+    (outer.sheetId || 0) === (inner.sheetId || 0) &&
+    outer.startRowIndex <= (inner.startRowIndex || 0) &&
+    inner.endRowIndex <= outer.endRowIndex &&
+    outer.startColumnIndex <= (inner.startColumnIndex || 0) &&
+    inner.endColumnIndex <= outer.endColumnIndex
+  );
+}
 
-  const startCol = gridrange.hasOwnProperty("startColumnIndex")
-    ? columnIndexToLetter_(gridrange.startColumnIndex)
-    : "A";
+/**
+ * Shifts the column indexes of column properties at or after an index.
+ *
+ * @private
+ * @param {Array<Object>} columnProperties
+ * @param {number} fromIndex
+ * @param {number} count Negative to shift to the left.
+ * @return {Array<Object>}
+ */
+function shiftColumnProperties_(columnProperties = [], fromIndex, count) {
+  return columnProperties.map((prop) => {
+    const { columnIndex = 0 } = prop;
+    return columnIndex >= fromIndex
+      ? { ...prop, columnIndex: columnIndex + count }
+      : prop;
+  });
+}
 
-  const startRow = gridrange.hasOwnProperty("startRowIndex")
-    ? gridrange.startRowIndex + 1
-    : "";
+/**
+ * Converts a value to an ExtendedValue as it is (valueInputOption "RAW").
+ * Numbers and booleans keep their types, and the other values are strings, also when they start with "=".
+ *
+ * @private
+ * @param {any} value
+ * @return {Object} ExtendedValue
+ */
+function toRawValue_(value) {
+  if (value === "") return {};
+  if (typeof value === "number") return { numberValue: value };
+  if (typeof value === "boolean") return { boolValue: value };
+  return { stringValue: String(value) };
+}
 
-  const endCol = gridrange.hasOwnProperty("endColumnIndex")
-    ? columnIndexToLetter_(gridrange.endColumnIndex - 1)
-    : "";
+/**
+ * Parses a value like a user entered it in the Sheets UI (valueInputOption "USER_ENTERED").
+ * Numbers, booleans, formulas, dates and times (see parseDateString_) are recognized.
+ *
+ * @private
+ * @param {any} value
+ * @return {Object} CellData. Dates have the number format of the entered pattern.
+ */
+function parseUserEnteredValue_(value) {
+  if (typeof value !== "string")
+    return { userEnteredValue: toExtendedValue_(value) };
+  const str = value.trim();
+  if (str === "") return { userEnteredValue: {} };
+  if (str.startsWith("=")) return { userEnteredValue: { formulaValue: str } };
+  if (/^(true|false)$/i.test(str))
+    return { userEnteredValue: { boolValue: str.toUpperCase() === "TRUE" } };
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str))
+    return { userEnteredValue: { numberValue: Number(str) } };
 
-  const endRow = gridrange.hasOwnProperty("endRowIndex")
-    ? gridrange.endRowIndex
-    : "";
+  const date = parseDateString_(str);
+  if (date)
+    return {
+      userEnteredValue: { numberValue: date.serial },
+      userEnteredFormat: {
+        numberFormat: { type: date.type, pattern: date.pattern },
+      },
+    };
+  return { userEnteredValue: { stringValue: value } };
+}
 
-  const startStr = `${startCol}${startRow}`;
-  const endStr = `${endCol}${endRow}`;
+/**
+ * Formats a serial number by a date pattern.
+ * Only the tokens yyyy, m, mm, d, dd, h, hh and ss are supported, and "mm" after ":" is minutes.
+ *
+ * @private
+ * @param {number} serial
+ * @param {string} pattern
+ * @return {string}
+ */
+function formatDateSerial_(serial, pattern) {
+  const date = serialToDate_(serial, "Etc/GMT");
+  const pad = (n) => String(n).padStart(2, "0");
+  return pattern.replace(/yyyy|:mm|mm?|dd?|hh?|ss/g, (token) => {
+    switch (token) {
+      case "yyyy":
+        return String(date.getUTCFullYear());
+      case ":mm":
+        return ":" + pad(date.getUTCMinutes());
+      case "mm":
+        return pad(date.getUTCMonth() + 1);
+      case "m":
+        return String(date.getUTCMonth() + 1);
+      case "dd":
+        return pad(date.getUTCDate());
+      case "d":
+        return String(date.getUTCDate());
+      case "hh":
+        return pad(date.getUTCHours());
+      case "h":
+        return String(date.getUTCHours());
+      default:
+        return pad(date.getUTCSeconds());
+    }
+  });
+}
 
-  const rangeStr = startStr === endStr ? startStr : `${startStr}:${endStr}`;
+/**
+ * Renders the value of a CellData stored in MemoryTransport.
+ * Formulas are not evaluated, so their values are rendered as empty.
+ *
+ * @private
+ * @param {Object} cell CellData
+ * @param {string} [valueRenderOption="FORMATTED_VALUE"]
+ * @return {any}
+ */
+function renderCellValue_(cell, valueRenderOption = "FORMATTED_VALUE") {
+  const v = (cell && cell.userEnteredValue) || {};
+  if (v.formulaValue !== undefined)
+    return valueRenderOption === "FORMULA" ? v.formulaValue : "";
+  if (v.numberValue !== undefined) {
+    if (valueRenderOption !== "FORMATTED_VALUE") return v.numberValue;
+    const { numberFormat } = cell.userEnteredFormat || {};
+    return numberFormat && /^(DATE|TIME|DATE_TIME)$/.test(numberFormat.type)
+      ? formatDateSerial_(v.numberValue, numberFormat.pattern || "m/d/yyyy")
+      : String(v.numberValue);
+  }
+  if (v.boolValue !== undefined)
+    return valueRenderOption === "FORMATTED_VALUE"
+      ? String(v.boolValue).toUpperCase()
+      : v.boolValue;
+  if (v.stringValue !== undefined) return v.stringValue;
+  return "";
+}
 
-  return sheetName ? `'${sheetName}'!${rangeStr}` : rangeStr;
+/**
+ * Converts a CellData stored in MemoryTransport to CellData of the API response.
+ *
+ * @private
+ * @param {Object} cell CellData
+ * @return {Object} CellData with effectiveValue and formattedValue.
+ */
+function toCellDataResponse_(cell) {
+  const res = copyObject_(cell || {});
+  const v = res.userEnteredValue;
+  if (v && Object.keys(v).length > 0 && v.formulaValue === undefined) {
+    res.effectiveValue = { ...v };
+    res.formattedValue = renderCellValue_(cell);
+  }
+  return res;
 }
@@ -6,32 +6,79 @@
  * This test script was created by Gemini 3 Pro Preview
  */
 function runTableAppTests() {
+  runTableAppTestSuite_(createAppsScriptTestEnv_());
+}
+
+/**
+ * Test environment using the TableApp library and SpreadsheetApp on Google Apps Script.
+ */
+function createAppsScriptTestEnv_() {
+  return {
+    TableApp,
+    createSpreadsheet(fileName, values) {
+      const ss = SpreadsheetApp.create(fileName);
+      const sheet = ss.getSheets()[0];
+      sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+      SpreadsheetApp.flush(); // Ensure data is written before API calls
+      return { ssId: ss.getId(), url: ss.getUrl(), sheetName: sheet.getName() };
+    },
+  };
+}
+
+/**
+ * Test environment using TableApp.js with the in-memory transport on Node.js.
+ * Run "node test.js".
+ */
+function createNodeTestEnv_() {
+  const fs = require("fs");
+  const path = require("path");
+  const vm = require("vm");
+  const context = vm.createContext({ console, Date });
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "TableApp.js"), "utf8"),
+    context
+  );
+  const transport = context.createMemoryTransport();
+  return {
+    TableApp: {
+      ...context,
+      openById: (spreadsheetId, options = {}) =>
+        context.openById(spreadsheetId, { transport, ...options }),
+    },
+    createSpreadsheet(fileName, values) {
+      const ssId = transport.addSpreadsheet({
+        properties: { title: fileName },
+        sheets: [{ title: "Sheet1", values }],
+      });
+      return { ssId, url: `memory://${ssId}`, sheetName: "Sheet1" };
+    },
+  };
+}
+
+/**
+ * Runs all tests in a test environment.
+ *
+ * @param {{TableApp: Object, createSpreadsheet: function(string, Array<Array<any>>): {ssId: string, url: string, sheetName: string}}} env
+ */
+function runTableAppTestSuite_({ TableApp, createSpreadsheet }) {
   // 1. SET UP: Create a brand new Spreadsheet file
+  // Pre-fill dummy data
+  // Range: A1:D4 (4 Columns)
   const fileName = `TableApp_Test_${new Date().toISOString()}`;
-  const ss = SpreadsheetApp.create(fileName);
-  const ssId = ss.getId();
+  const initialData = [
+    ["ID", "Product", "Price", "Stock"],
+    [101, "Apple", 1.5, 100],
+    [102, "Banana", 0.8, 200],
+    [103, "Cherry", 5.0, 50],
+  ];
+  const rangeStr = "A1:D4";
+  const { ssId, url, sheetName } = createSpreadsheet(fileName, initialData);
 
   console.log(`🚀 Starting TableApp Tests`);
   console.log(`📄 Created temporary Spreadsheet: "${fileName}"`);
-  console.log(`🔗 Link: ${ss.getUrl()}`);
+  console.log(`🔗 Link: ${url}`);
 
   try {
-    // Get the default sheet (usually "Sheet1")
-    const sheet = ss.getSheets()[0];
-    const sheetName = sheet.getName();
-
-    // Pre-fill dummy data using standard SpreadsheetApp
-    // Range: A1:D4 (4 Columns)
-    const initialData = [
-      ["ID", "Product", "Price", "Stock"],
-      [101, "Apple", 1.5, 100],
-      [102, "Banana", 0.8, 200],
-      [103, "Cherry", 5.0, 50],
-    ];
-    const rangeStr = "A1:D4";
-    sheet.getRange(rangeStr).setValues(initialData);
-    SpreadsheetApp.flush(); // Ensure data is written before API calls
-
     // Initialize Library
     const app = TableApp.openById(ssId);
 
@@ -170,9 +217,977 @@ function runTableAppTests() {
     }
 
     // ---------------------------------------------------------------
-    // TEST 7: Reverse & Remove
+    // TEST 7: Records
+    // ---------------------------------------------------------------
+    console.log("--- TEST 7: Reading & Writing Records ---");
+
+    table.setRecords([
+      { ItemID: 201, ItemName: "Grape", ItemCost: 3.2, ItemStock: 10 },
+      { ItemID: 202, ItemName: "Melon", ItemCost: 7.5 },
+    ]);
+    const records = table.getRecords({
+      valueRenderOption: "UNFORMATTED_VALUE",
+      skipBlankRows: true,
+    });
+    if (
+      records.length === 2 &&
+      records[0].ItemName === "Grape" &&
+      records[1].ItemStock === ""
+    ) {
+      console.log(`✅ Records Written & Read: ${JSON.stringify(records)}`);
+    } else {
+      console.error("❌ Failed to verify records.");
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 8: Append Rows
+    // ---------------------------------------------------------------
+    console.log("--- TEST 8: Appending Rows ---");
+
+    table.appendRecords([
+      { ItemID: 203, ItemName: "Kiwi", ItemCost: 2.1, ItemStock: 30 },
+    ]);
+    const appended = table.getRecords({ skipBlankRows: true });
+    if (
+      appended.length === 3 &&
+      appended[2].ItemName === "Kiwi" &&
+      table.getRange() === `'${sheetName}'!A1:D5`
+    ) {
+      console.log(`✅ Rows Appended. New Range: ${table.getRange()}`);
+    } else {
+      console.error("❌ Failed to append rows.");
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 9: Update, Upsert & Delete Rows
+    // ---------------------------------------------------------------
+    console.log("--- TEST 9: Updating, Upserting & Deleting Rows ---");
+
+    const upserted = table.upsert(
+      [
+        { ItemID: 202, ItemStock: 5 },
+        { ItemID: 204, ItemName: "Lemon", ItemCost: 1.2, ItemStock: 60 },
+      ],
+      { key: "ItemID" }
+    );
+    const updated = table.updateRows((r) => r.ItemID === 201, {
+      ItemCost: 3.5,
+    });
+    const deleted = table.deleteRows((r) => r.ItemID === "");
+    const afterRows = table.getRecords({
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+    if (
+      upserted.inserted === 1 &&
+      upserted.updated === 1 &&
+      updated.updated === 1 &&
+      deleted.deleted === 1 &&
+      afterRows.length === 4 &&
+      afterRows[0].ItemCost === 3.5 &&
+      afterRows[1].ItemStock === 5 &&
+      afterRows[3].ItemName === "Lemon"
+    ) {
+      console.log(`✅ Rows Updated, Upserted & Deleted: ${table.getRange()}`);
+    } else {
+      console.error("❌ Failed to update, upsert or delete rows.");
+    }
+    const upsertErrors = [
+      [{ ItemName: "NoKey" }],
+      [{ ItemID: " ", ItemName: "BlankKey" }],
+      [
+        { ItemID: 205, ItemName: "Mango" },
+        { ItemID: "205", ItemName: "Melon" },
+      ],
+    ].map((invalid) => {
+      try {
+        table.upsert(invalid, { key: "ItemID" });
+        return null;
+      } catch (e) {
+        return e.name;
+      }
+    });
+    if (
+      upsertErrors.every((name) => name === "ValidationError") &&
+      table.getRecords().length === afterRows.length
+    ) {
+      console.log("✅ Blank and Duplicate Upsert Keys Rejected");
+    } else {
+      console.error(`❌ Unexpected upsert errors: ${upsertErrors.join()}`);
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 10: Query
+    // ---------------------------------------------------------------
+    console.log("--- TEST 10: Querying Table ---");
+
+    const queried = table
+      .query()
+      .where("ItemCost", ">", 2)
+      .select("ItemID", "ItemName")
+      .orderBy("ItemCost", "desc")
+      .limit(2)
+      .get();
+    if (
+      queried.length === 2 &&
+      queried[0].ItemID === 202 &&
+      queried[1].ItemID === 201 &&
+      !queried[0].hasOwnProperty("ItemCost")
+    ) {
+      console.log(`✅ Query Verified: ${JSON.stringify(queried)}`);
+    } else {
+      console.error("❌ Failed to verify query.");
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 11: Create a Table with a Schema
+    // ---------------------------------------------------------------
+    console.log("--- TEST 11: Creating Table with Schema ---");
+
+    const schemaTable = app.getRange(`${sheetName}!G1`).create("OrderTable", {
+      columns: [
+        { name: "OrderID", type: "DOUBLE" },
+        { name: "Status", type: "DROPDOWN", options: ["Open", "Closed"] },
+      ],
+    });
+    const schemaCols = schemaTable.getMetadata().columnProperties;
+    if (
+      schemaTable.getRange() === `'${sheetName}'!G1:H2` &&
+      schemaCols[1].columnType === "DROPDOWN" &&
+      schemaTable.getValues()[0][1] === "Status"
+    ) {
+      console.log(`✅ Table Created with Schema: ${schemaTable.getRange()}`);
+    } else {
+      console.error("❌ Failed to create table with schema.");
+    }
+    schemaTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 12: Typed Values
+    // ---------------------------------------------------------------
+    console.log("--- TEST 12: Reading & Writing Typed Values ---");
+
+    const eventTable = app.getRange(`${sheetName}!G1`).create("EventTable", {
+      columns: [
+        { name: "Event", type: "TEXT" },
+        { name: "Date", type: "DATE" },
+        { name: "Done", type: "BOOLEAN" },
+      ],
+    });
+    const eventDate = new Date(2025, 0, 15);
+    eventTable.setRecords([{ Event: "Launch", Date: eventDate, Done: true }], {
+      typed: true,
+    });
+    const [event] = eventTable.getRecords({ typed: true });
+    if (
+      event.Date instanceof Date &&
+      event.Date.getTime() === eventDate.getTime() &&
+      event.Done === true
+    ) {
+      console.log(`✅ Typed Values Verified: ${event.Date.toISOString()}`);
+    } else {
+      console.error("❌ Failed to verify typed values.");
+    }
+    eventTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 13: Batch
+    // ---------------------------------------------------------------
+    console.log("--- TEST 13: Running Batch ---");
+
+    const [batchTable1, batchTable2] = app.batch((a) => {
+      a.getRange(`${sheetName}!G1`).create("BatchTable1", {
+        columns: [{ name: "Key" }],
+      });
+      a.getRange(`${sheetName}!I1`).create("BatchTable2", {
+        columns: [{ name: "Key" }],
+      });
+    });
+    const batchVerifier = TableApp.openById(ssId);
+    if (
+      batchTable1.getId() &&
+      batchVerifier.getTableById(batchTable1.getId()) &&
+      batchVerifier.getTableById(batchTable2.getId())
+    ) {
+      console.log("✅ Batch Committed: 2 tables created in 1 request");
+    } else {
+      console.error("❌ Failed to verify batch.");
+    }
+    const batchRange = batchTable1.getRange();
+    let batchError = null;
+    try {
+      app.batch(() => {
+        batchTable1.appendRows([["a"]]);
+        batchTable1.appendRows([["b"]]);
+      });
+    } catch (e) {
+      batchError = e.name;
+    }
+    if (
+      batchError === "ValidationError" &&
+      batchTable1.getRange() === batchRange
+    ) {
+      console.log("✅ Second Range Change in Batch Rejected");
+    } else {
+      console.error(`❌ Unexpected batch result: ${batchError}`);
+    }
+    let createdError = null;
+    try {
+      app.batch((a) =>
+        a
+          .getRange(`${sheetName}!K1`)
+          .create("BatchTable3", { columns: [{ name: "Key" }] })
+          .setName("BatchTable3Renamed")
+      );
+    } catch (e) {
+      createdError = e.name;
+    }
+    const createdVerifier = TableApp.openById(ssId);
+    if (
+      createdError === "ValidationError" &&
+      !createdVerifier.getTableByName("BatchTable3") &&
+      !createdVerifier.getTableByName("BatchTable3Renamed")
+    ) {
+      console.log("✅ Change of Table Created in Batch Rejected");
+    } else {
+      console.error(`❌ Unexpected batch result: ${createdError}`);
+    }
+    let valuesError = null;
+    try {
+      app.batch(() => batchTable1.setValues([["Key"], ["123"]]));
+    } catch (e) {
+      valuesError = e.name;
+    }
+    const [, [batchValue]] = batchTable1.getValues();
+    if (valuesError === "ValidationError" && batchValue !== "123") {
+      console.log("✅ Values in Batch Rejected");
+    } else {
+      console.error(`❌ Unexpected batch result: ${valuesError}`);
+    }
+    app.batch(() => {
+      batchTable1.remove();
+      batchTable2.remove();
+    });
+
+    // ---------------------------------------------------------------
+    // TEST 14: Typed Errors
     // ---------------------------------------------------------------
-    console.log("--- TEST 7: Cleaning Up ---");
+    console.log("--- TEST 14: Catching Typed Errors ---");
+
+    const errorNames = [
+      () => app.getRange(`${sheetName}!A1:D4`).create("OverlapTable"),
+      () => table.setValues("invalid"),
+      () => app.getRange("NoSuchSheet!A1:B2").create("NoSheetTable"),
+    ].map((f) => {
+      try {
+        f();
+        return null;
+      } catch (e) {
+        return e.name;
+      }
+    });
+    if (
+      errorNames.join() === "ConflictError,ValidationError,SheetNotFoundError"
+    ) {
+      console.log(`✅ Typed Errors Caught: ${errorNames.join(", ")}`);
+    } else {
+      console.error(`❌ Unexpected errors: ${errorNames.join(", ")}`);
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 15: A1 Notation
+    // ---------------------------------------------------------------
+    console.log("--- TEST 15: Parsing & Formatting A1 Notation ---");
+
+    const notations = ["'Bob''s Data'!A2:C", "'a!b'!3:10", "'Sheet1'!$A$1"];
+    const formatted = notations.map((notation) => {
+      const { sheetName, gridRange } = TableApp.A1.parse(notation);
+      return TableApp.A1.format(gridRange, { sheetName });
+    });
+    const r1c1 = TableApp.A1.format(TableApp.A1.toGridRange("B2:D10", 0), {
+      r1c1: true,
+    });
+    const roundTrips = [
+      { endRowIndex: 2 },
+      { startRowIndex: 2, endRowIndex: 10 },
+      { startColumnIndex: 1, endColumnIndex: 3 },
+      { startRowIndex: 1, startColumnIndex: 0, endColumnIndex: 3 },
+      {
+        startRowIndex: 0,
+        endRowIndex: 1,
+        startColumnIndex: 18277,
+        endColumnIndex: 18278,
+      },
+    ].every((gridRange) => {
+      const { startRowIndex = 0, ...rest } = gridRange;
+      const parsed = TableApp.A1.parse(TableApp.A1.format(gridRange)).gridRange;
+      return (
+        JSON.stringify({ startRowIndex, ...rest }) ===
+        JSON.stringify({ startRowIndex: 0, ...parsed })
+      );
+    });
+    const rowsFormatted = TableApp.A1.format({
+      startRowIndex: 0,
+      endRowIndex: 2,
+      startColumnIndex: 0,
+    });
+    const invalidNotations = ["A1:2", "ZZZZ1", "Sheet1!A1:ZZZZ2"].map(
+      (notation) => {
+        try {
+          return JSON.stringify(TableApp.A1.parse(notation));
+        } catch (e) {
+          return e.name;
+        }
+      }
+    );
+    if (
+      formatted.join() === "'Bob''s Data'!A2:C,'a!b'!3:10,'Sheet1'!A1" &&
+      r1c1 === "R2C2:R10C4" &&
+      roundTrips &&
+      rowsFormatted === "1:2" &&
+      invalidNotations.every((name) => name === "ValidationError") &&
+      TableApp.A1.parse("Sheet1").sheetName === "Sheet1"
+    ) {
+      console.log(`✅ A1 Notation Round-Tripped: ${formatted.join(", ")}`);
+    } else {
+      console.error(
+        `❌ Unexpected notations: ${formatted.join(", ")}, ${r1c1}`
+      );
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 16: Create a Table from Values & Records
+    // ---------------------------------------------------------------
+    console.log("--- TEST 16: Creating Table from Values & Records ---");
+
+    const fromValues = app.createFromValues(
+      "FromValuesTable",
+      [
+        ["Name", "Price", "Date"],
+        ["Apple", 1.5, new Date(2025, 0, 15)],
+        ["Banana", 0.8, new Date(2025, 0, 16)],
+      ],
+      { anchor: "NewSheet!B2", createSheet: true }
+    );
+    const fromRecords = app.createFromRecords(
+      "FromRecordsTable",
+      [{ Name: "Cherry", InStock: true }, { Name: "Grape" }],
+      { anchor: "NewSheet!F2" }
+    );
+    const types = fromValues
+      .getMetadata()
+      .columnProperties.map(({ columnType }) => columnType);
+    let refused = false;
+    try {
+      app.createFromValues("OverwriteTable", [["A"], [1]], {
+        anchor: "NewSheet!B2",
+      });
+    } catch (e) {
+      refused = e.name === "ConflictError";
+    }
+    if (
+      fromValues.getRange() === "'NewSheet'!B2:D4" &&
+      fromRecords.getRange() === "'NewSheet'!F2:G4" &&
+      types.join() === "TEXT,DOUBLE,DATE" &&
+      refused
+    ) {
+      console.log(
+        `✅ Tables Created from Values & Records: ${fromValues.getRange()}, ${fromRecords.getRange()}`
+      );
+    } else {
+      console.error(
+        `❌ Failed to create tables from values: ${fromValues.getRange()}, ${fromRecords.getRange()}, ${types}, ${refused}`
+      );
+    }
+    fromValues.remove();
+    fromRecords.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 17: Export
+    // ---------------------------------------------------------------
+    console.log("--- TEST 17: Exporting Table ---");
+
+    const exportTable = app.createFromValues(
+      "ExportTable",
+      [
+        ["Name", "Note"],
+        ["Apple", 'Red, "sweet"'],
+        ["Banana", "Yellow"],
+      ],
+      { anchor: `${sheetName}!K1` }
+    );
+    exportTable.setRowsProperties({
+      headerColorStyle: { rgbColor: { red: 1 } },
+    });
+    const csv = exportTable.export("csv");
+    const markdown = exportTable.export("markdown");
+    const html = exportTable.export("html");
+    const all = JSON.parse(TableApp.openById(ssId).exportAll());
+    if (
+      csv === 'Name,Note\r\nApple,"Red, ""sweet"""\r\nBanana,Yellow' &&
+      markdown.startsWith("| Name | Note |\n| --- | --- |") &&
+      html.includes('<tr style="background-color: #ff0000;"><th>Name</th>') &&
+      all.ExportTable[1].Name === "Banana"
+    ) {
+      console.log("✅ Table Exported to CSV, JSON, Markdown & HTML");
+    } else {
+      console.error(`❌ Unexpected export: ${csv}`);
+    }
+    exportTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 18: Import
+    // ---------------------------------------------------------------
+    console.log("--- TEST 18: Importing CSV & JSON ---");
+
+    const importTable = app.createFromValues(
+      "ImportTable",
+      [
+        ["Name", "Price"],
+        ["Apple", 1.5],
+        ["Banana", 0.8],
+        ["Cherry", 3],
+      ],
+      { anchor: "NewSheet!J2" }
+    );
+    const replaced = importTable.importCsv(
+      "Item,Price\r\nGrape,2\r\nMelon,abc\r\n",
+      {
+        mapping: { Item: "Name" },
+      }
+    );
+    const shrunk = importTable.getRange();
+    const importSummary = importTable.importJson(
+      [
+        { Name: "Grape", Price: "2.5" },
+        { Name: "Kiwi", Price: 4 },
+      ],
+      { mode: "upsert", key: "Name" }
+    );
+    const imported = importTable.getValues({
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+    if (
+      shrunk === "'NewSheet'!J2:K3" &&
+      replaced.deleted === 2 &&
+      replaced.rejected[0].errors[0].column === "Price" &&
+      importSummary.updated === 1 &&
+      importSummary.inserted === 1 &&
+      JSON.stringify(imported) ===
+        JSON.stringify([
+          ["Name", "Price"],
+          ["Grape", 2.5],
+          ["Kiwi", 4],
+        ])
+    ) {
+      console.log(`✅ CSV & JSON Imported: ${importTable.getRange()}`);
+    } else {
+      console.error(
+        `❌ Unexpected import: ${shrunk}, ${JSON.stringify(imported)}`
+      );
+    }
+    importTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 19: Sync
+    // ---------------------------------------------------------------
+    console.log("--- TEST 19: Syncing Table ---");
+
+    const syncTable = app.createFromValues(
+      "SyncTable",
+      [
+        ["Name", "Qty"],
+        ["Apple", 1],
+        ["Banana", 2],
+        ["Cherry", 3],
+      ],
+      { anchor: "NewSheet!N2" }
+    );
+    const target = [
+      ["Name", "Qty"],
+      ["Apple", 1],
+      ["Cherry", 4],
+      ["Grape", 5],
+    ];
+    const planned = syncTable.sync(target, { key: "Name", dryRun: true });
+    const unchanged = syncTable.getRange();
+    syncTable.sync(target, { key: "Name" });
+    const synced = syncTable.getValues({
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+    if (
+      unchanged === "'NewSheet'!N2:O5" &&
+      planned.changed.length === 1 &&
+      planned.inserted[0].row === 3 &&
+      planned.deleted[0].row === 2 &&
+      JSON.stringify(synced) === JSON.stringify(target) &&
+      syncTable.sync(target).changed.length === 0
+    ) {
+      console.log(`✅ Table Synced: ${JSON.stringify(planned.changed)}`);
+    } else {
+      console.error(`❌ Unexpected sync: ${JSON.stringify(synced)}`);
+    }
+    syncTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 20: Columns
+    // ---------------------------------------------------------------
+    console.log("--- TEST 20: Managing Columns ---");
+
+    const columnTable = app.createFromValues(
+      "ColumnTable",
+      [
+        ["Name", "Price", "Note"],
+        ["Apple", 1.5, "red"],
+      ],
+      { anchor: "NewSheet!R2" }
+    );
+    const sideTable = app.createFromValues("SideTable", [["Side"], ["x"]], {
+      anchor: "NewSheet!S6",
+    });
+    columnTable
+      .addColumn({ name: "Stock", type: "DOUBLE", position: 1 })
+      .removeColumn("Note")
+      .renameColumn("Price", "UnitPrice")
+      .moveColumn("Name", 2);
+    const columnValues = columnTable.getValues();
+    const reloadedSide = TableApp.openById(ssId).getTableByName("SideTable");
+    const sideRange = reloadedSide.getRange();
+    const sideValues = reloadedSide.getValues();
+    if (
+      columnTable.getRange() === "'NewSheet'!R2:T3" &&
+      sideRange === "'NewSheet'!S6:S7" &&
+      JSON.stringify(sideValues) === JSON.stringify([["Side"], ["x"]]) &&
+      JSON.stringify(columnValues) ===
+        JSON.stringify([
+          ["Stock", "UnitPrice", "Name"],
+          ["", "1.5", "Apple"],
+        ])
+    ) {
+      console.log(`✅ Columns Managed: ${JSON.stringify(columnValues[0])}`);
+    } else {
+      console.error(`❌ Unexpected columns: ${JSON.stringify(columnValues)}`);
+    }
+    columnTable.remove();
+    sideTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 21: Sort
+    // ---------------------------------------------------------------
+    console.log("--- TEST 21: Sorting Table ---");
+
+    const sortTable = app.createFromValues(
+      "SortTable",
+      [
+        ["Name", "Status"],
+        ["Banana", "Sold"],
+        ["Cherry", "New"],
+        ["Apple", "Sold"],
+        ["Grape", "New"],
+      ],
+      { anchor: "NewSheet!V2" }
+    );
+    sortTable.setColumnProperties([
+      { columnIndex: 0, columnName: "Name", columnType: "TEXT" },
+      {
+        columnIndex: 1,
+        columnName: "Status",
+        columnType: "DROPDOWN",
+        dataValidationRule: {
+          condition: {
+            type: "ONE_OF_LIST",
+            values: [{ userEnteredValue: "New" }, { userEnteredValue: "Sold" }],
+          },
+        },
+      },
+    ]);
+    sortTable.sort([{ column: "Name", order: "desc" }]);
+    const byName = sortTable.getRecords().map(({ Name }) => Name);
+    sortTable.sort([
+      { column: "Status", optionOrder: true },
+      { column: "Name" },
+    ]);
+    const byStatus = sortTable.getRecords().map(({ Name }) => Name);
+    if (
+      byName.join() === "Grape,Cherry,Banana,Apple" &&
+      byStatus.join() === "Cherry,Grape,Apple,Banana"
+    ) {
+      console.log(`✅ Table Sorted: ${byStatus.join(", ")}`);
+    } else {
+      console.error(`❌ Unexpected order: ${byName}, ${byStatus}`);
+    }
+    sortTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 22: Filter Views
+    // ---------------------------------------------------------------
+    console.log("--- TEST 22: Managing Filter Views ---");
+
+    const filterTable = app.createFromValues(
+      "FilterTable",
+      [
+        ["Name", "Status", "Price"],
+        ["Apple", "Open", 5],
+        ["Banana", "Closed", 20],
+      ],
+      { anchor: "NewSheet!Y2" }
+    );
+    const filterViewId = filterTable.createFilterView({
+      title: "Open orders",
+      criteria: {
+        Status: { values: ["Open"] },
+        Price: { condition: "NUMBER_GREATER", value: 1 },
+      },
+    });
+    filterTable.updateFilterView(filterViewId, { title: "Open orders only" });
+    filterTable.setRange("NewSheet!Y2:AA5");
+    const [filterView] = filterTable.getFilterViews();
+    filterTable.deleteFilterView(filterViewId);
+    if (
+      filterView.title === "Open orders only" &&
+      filterView.range.endRowIndex === 5 &&
+      filterView.filterSpecs[0].filterCriteria.condition.values[0]
+        .userEnteredValue === '=OR(TO_TEXT(Z3)="Open")' &&
+      filterTable.getFilterViews().length === 0
+    ) {
+      console.log(`✅ Filter Views Managed: ${filterView.title}`);
+    } else {
+      console.error(`❌ Unexpected filter view: ${JSON.stringify(filterView)}`);
+    }
+    filterTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 23: Footer
+    // ---------------------------------------------------------------
+    console.log("--- TEST 23: Setting Footer ---");
+
+    const footerTable = app.createFromValues(
+      "FooterTable",
+      [
+        ["Name", "Price"],
+        ["Apple", 1.5],
+        ["Banana", 0.8],
+      ],
+      { anchor: "NewSheet!AC2" }
+    );
+    footerTable.setFooter({ Price: "SUM" }, { label: "Total" });
+    footerTable.appendRows([["Cherry", 3]]);
+    const footerRecords = footerTable.getRecords();
+    const [footer] = footerTable
+      .getValues({ valueRenderOption: "FORMULA" })
+      .slice(-1);
+    const deletedAll = footerTable.deleteRows(() => true);
+    const emptyValues = footerTable.getValues({ valueRenderOption: "FORMULA" });
+    footerTable.removeFooter({ deleteRow: true });
+    if (
+      footerRecords.length === 3 &&
+      footer[1] === "=SUBTOTAL(109,AD3:AD5)" &&
+      deletedAll.deleted === 3 &&
+      JSON.stringify(emptyValues) ===
+        JSON.stringify([
+          ["Name", "Price"],
+          [],
+          ["Total", "=SUBTOTAL(109,AD3)"],
+        ]) &&
+      footerTable.getRange() === "'NewSheet'!AC2:AD3"
+    ) {
+      console.log(`✅ Footer Set: ${footer.join(" ")}`);
+    } else {
+      console.error(`❌ Unexpected footer: ${footer}`);
+    }
+    footerTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 24: Calculated Column
+    // ---------------------------------------------------------------
+    console.log("--- TEST 24: Setting Calculated Column ---");
+
+    const calcTable = app.createFromValues(
+      "CalcTable",
+      [
+        ["Price", "Qty", "Total"],
+        [1.5, 2, ""],
+      ],
+      { anchor: "NewSheet!AF2" }
+    );
+    calcTable.setCalculatedColumn(
+      "Total",
+      (ref) =>
+        `=${ref("Price", { row: "this" })}*${ref("Qty", { row: "this" })}`
+    );
+    calcTable.appendRows([[0.8, 5]]);
+    calcTable.setName("CalcTableRenamed");
+    const formulas = calcTable
+      .getValues({ valueRenderOption: "FORMULA" })
+      .map((row) => row[2]);
+    calcTable.renameColumn("Price", "UnitPrice");
+    const reloadedCalcTable =
+      TableApp.openById(ssId).getTableByName("CalcTableRenamed");
+    reloadedCalcTable.appendRows([[2, 3]]);
+    const [reloadedFormula] = reloadedCalcTable
+      .getValues({ valueRenderOption: "FORMULA" })
+      .slice(-1)
+      .map((row) => row[2]);
+    if (
+      calcTable.ref("Qty") === "CalcTableRenamed[Qty]" &&
+      formulas[2] ===
+        "=INDEX(CalcTableRenamed[Price],ROW()-ROW(CalcTableRenamed[Price])+1)*INDEX(CalcTableRenamed[Qty],ROW()-ROW(CalcTableRenamed[Qty])+1)" &&
+      reloadedFormula ===
+        "=INDEX(CalcTableRenamed[UnitPrice],ROW()-ROW(CalcTableRenamed[UnitPrice])+1)*INDEX(CalcTableRenamed[Qty],ROW()-ROW(CalcTableRenamed[Qty])+1)"
+    ) {
+      console.log(`✅ Calculated Column Set: ${formulas[2]}`);
+    } else {
+      console.error(`❌ Unexpected formulas: ${formulas}, ${reloadedFormula}`);
+    }
+    calcTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 25: Conditional Formats
+    // ---------------------------------------------------------------
+    console.log("--- TEST 25: Adding Conditional Formats ---");
+
+    const formatTable = app.createFromValues(
+      "FormatTable",
+      [
+        ["Task", "Score"],
+        ["Write", 3],
+        ["Review", 8],
+      ],
+      { anchor: "NewSheet!AJ2" }
+    );
+    formatTable.addConditionalFormat({
+      column: "Score",
+      condition: "NUMBER_GREATER",
+      value: 5,
+      format: { backgroundColor: "#f4cccc", bold: true },
+    });
+    formatTable.appendRows([["Test", 9]]);
+    const [conditionalFormat] = formatTable.getConditionalFormats();
+    const [ruleRange] = conditionalFormat.rule.ranges;
+    let mixedBatchError = null;
+    try {
+      app.batch(() => {
+        formatTable.addConditionalFormat({
+          column: "Task",
+          condition: "TEXT_CONTAINS",
+          value: "Re",
+          format: { italic: true },
+        });
+        formatTable.appendRows([["Ship", 1]]);
+      });
+    } catch (e) {
+      mixedBatchError = e.name;
+    }
+    formatTable.clearConditionalFormats();
+    if (
+      conditionalFormat.columns.join() === "Score" &&
+      ruleRange.startRowIndex === 2 &&
+      ruleRange.endRowIndex === 5 &&
+      mixedBatchError === "ValidationError" &&
+      formatTable.getConditionalFormats().length === 0
+    ) {
+      console.log("✅ Conditional Format Added, Aligned & Cleared");
+    } else {
+      console.error(
+        `❌ Unexpected conditional format: ${JSON.stringify(conditionalFormat)}`
+      );
+    }
+    formatTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 26: Theme
+    // ---------------------------------------------------------------
+    console.log("--- TEST 26: Setting Theme ---");
+
+    const themeTable = app.createFromValues(
+      "ThemeTable",
+      [
+        ["Name", "Value"],
+        ["Apple", 1],
+      ],
+      { anchor: "NewSheet!AM2" }
+    );
+    themeTable.setTheme("green");
+    const presetTheme = themeTable.getTheme();
+    TableApp.registerTheme("corporate", {
+      header: "#1a237e",
+      firstBand: "#ffffff",
+      secondBand: "#e8eaf6",
+    });
+    themeTable.setTheme("corporate");
+    const customTheme = themeTable.getTheme();
+    if (
+      presetTheme.header === "#34a853" &&
+      presetTheme.footer === null &&
+      customTheme.header === "#1a237e" &&
+      customTheme.secondBand === "#e8eaf6"
+    ) {
+      console.log(`✅ Theme Set: ${JSON.stringify(customTheme)}`);
+    } else {
+      console.error(`❌ Unexpected theme: ${JSON.stringify(customTheme)}`);
+    }
+    themeTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 27: Snapshot & Restore
+    // ---------------------------------------------------------------
+    console.log("--- TEST 27: Snapshot & Restore ---");
+
+    const snapshotTable = app.createFromValues(
+      "SnapshotTable",
+      [
+        ["Name", "Price", "Double"],
+        ["Apple", 1.5, "=AQ3*2"],
+        ["Banana", 0.8, "=AQ4*2"],
+      ],
+      { anchor: "NewSheet!AP2" }
+    );
+    const snapshot = JSON.parse(JSON.stringify(snapshotTable.snapshot()));
+    snapshotTable.remove();
+    const restoredTable = app.restore(snapshot, {
+      anchor: "NewSheet!AS2",
+      name: "RestoredTable",
+    });
+    const restoredRecords = restoredTable.getRecords();
+    const [, , restoredFormula] = restoredTable
+      .getValues({ valueRenderOption: "FORMULA" })
+      .slice(-1)[0];
+    if (
+      snapshot.version === 1 &&
+      restoredTable.getName() === "RestoredTable" &&
+      restoredTable.getRange() === "'NewSheet'!AS2:AU4" &&
+      restoredRecords.length === 2 &&
+      restoredRecords[1].Name === "Banana" &&
+      restoredFormula === "=AT4*2"
+    ) {
+      console.log(`✅ Table Restored: ${restoredTable.getRange()}`);
+    } else {
+      console.error(
+        `❌ Unexpected restore: ${JSON.stringify(restoredRecords)}`
+      );
+    }
+    restoredTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 28: Copy to Spreadsheet
+    // ---------------------------------------------------------------
+    console.log("--- TEST 28: Copying Table to Another Spreadsheet ---");
+
+    const targetSpreadsheet = createSpreadsheet(
+      `TableApp_Test_Target_${new Date().toISOString()}`,
+      [["Target"]]
+    );
+    const sourceTable = app.createFromValues(
+      "SourceTable",
+      [
+        ["Name", "Price"],
+        ["Apple", 1.5],
+      ],
+      { anchor: "NewSheet!AV2" }
+    );
+    const targetApp = TableApp.openById(targetSpreadsheet.ssId);
+    targetApp.createFromValues("SourceTable", [["Existing"]], {
+      anchor: `${targetSpreadsheet.sheetName}!D1`,
+    });
+    const copiedToTarget = sourceTable.copyToSpreadsheet(
+      targetSpreadsheet.ssId,
+      `${targetSpreadsheet.sheetName}!A3`
+    );
+    const movedToTarget = sourceTable.moveTo(
+      targetSpreadsheet.ssId,
+      `${targetSpreadsheet.sheetName}!G3`,
+      { name: "MovedTable" }
+    );
+    if (
+      copiedToTarget.getName() === "SourceTable_1" &&
+      copiedToTarget.getRecords()[0].Name === "Apple" &&
+      movedToTarget.getName() === "MovedTable" &&
+      !TableApp.openById(ssId).getTableByName("SourceTable") &&
+      targetApp.getTableByName("MovedTable")
+    ) {
+      console.log(
+        `✅ Table Copied & Moved: ${copiedToTarget.getRange()}, ${movedToTarget.getRange()}`
+      );
+    } else {
+      console.error(
+        `❌ Unexpected copy: ${copiedToTarget.getName()}, ${movedToTarget.getName()}`
+      );
+    }
+
+    // ---------------------------------------------------------------
+    // TEST 29: Fingerprint
+    // ---------------------------------------------------------------
+    console.log("--- TEST 29: Detecting Changes by Fingerprint ---");
+
+    const fingerprintTable = app.createFromValues(
+      "FingerprintTable",
+      [
+        ["ID", "Qty"],
+        [1, 10],
+        [2, 20],
+      ],
+      { anchor: "NewSheet!AY2" }
+    );
+    const fingerprint = fingerprintTable.getFingerprint({ key: "ID" });
+    app.getChangedTables(); // Saves the hashes of all tables.
+    fingerprintTable.updateRows((row) => row.ID === 2, { Qty: 25 });
+    fingerprintTable.appendRows([[3, 30]]);
+    const changes = fingerprintTable.getChangesSince(fingerprint);
+    const changedTables = app.getChangedTables();
+    const unchangedTables = app.getChangedTables();
+    if (
+      changes.changed &&
+      changes.modified.map(({ key }) => key).join() === "2" &&
+      changes.added.map(({ key }) => key).join() === "3" &&
+      changes.removed.length === 0 &&
+      changedTables.map((t) => t.getName()).join() === "FingerprintTable" &&
+      unchangedTables.length === 0
+    ) {
+      console.log(`✅ Changes Detected: ${JSON.stringify(changes.modified)}`);
+    } else {
+      console.error(`❌ Unexpected changes: ${JSON.stringify(changes)}`);
+    }
+    fingerprintTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 30: Tags
+    // ---------------------------------------------------------------
+    console.log("--- TEST 30: Tagging Tables ---");
+
+    const tagTable = app.createFromValues(
+      "TagTable",
+      [
+        ["Order", "Amount"],
+        ["A-1", 100],
+      ],
+      { anchor: "NewSheet!BB2" }
+    );
+    tagTable.setTag("region", "EU").setTag("kind", "orders");
+    tagTable.setName("TagTableRenamed");
+    tagTable.removeTag("kind");
+    const tags = tagTable.getTags();
+    const [taggedTable] = app.getTablesByTag("region", "EU");
+    const movedTagTable = tagTable.moveTo(ssId, "NewSheet!BB8");
+    const movedTags = movedTagTable.getTags();
+    const movedTaggedTables = app.getTablesByTag("region", "EU");
+    if (
+      JSON.stringify(tags) === JSON.stringify({ region: "EU" }) &&
+      taggedTable &&
+      taggedTable.getName() === "TagTableRenamed" &&
+      app.getTablesByTag("region", "US").length === 0 &&
+      JSON.stringify(movedTags) === JSON.stringify(tags) &&
+      movedTaggedTables.length === 1 &&
+      movedTaggedTables[0].getId() === movedTagTable.getId()
+    ) {
+      console.log(`✅ Table Tagged & Moved: ${JSON.stringify(movedTags)}`);
+    } else {
+      console.error(`❌ Unexpected tags: ${JSON.stringify(movedTags)}`);
+    }
+    movedTagTable.remove();
+
+    // ---------------------------------------------------------------
+    // TEST 31: Reverse & Remove
+    // ---------------------------------------------------------------
+    console.log("--- TEST 31: Cleaning Up ---");
 
     // Reverse original
     const reverseMsg = table.reverse();
@@ -191,3 +1206,13 @@ function runTableAppTests() {
     console.log(`🗑️ Deleted temporary spreadsheet: ${ssId}`);
   }
 }
+
+if (typeof module !== "undefined" && require.main === module) {
+  // Failures are logged with console.error.
+  const error = console.error;
+  console.error = (...args) => {
+    process.exitCode = 1;
+    error(...args);
+  };
+  runTableAppTestSuite_(createNodeTestEnv_());
+}